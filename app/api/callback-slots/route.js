@@ -0,0 +1,16 @@
+import { NextResponse } from "next/server";
+import { generateSlots, getCallbackConfig } from "@/lib/callbackSlots";
+
+// Callback times the contact panel can offer: GET /api/callback-slots
+export async function GET() {
+  let config;
+  try {
+    config = getCallbackConfig();
+  } catch (e) {
+    return NextResponse.json({ error: "Callback hours are misconfigured" }, { status: 500 });
+  }
+  return NextResponse.json(
+    { timezone: config.timezone, slots: generateSlots(config) },
+    { headers: { "cache-control": "no-store" } }
+  );
+}
@@ -1,42 +1,150 @@
-import { NextResponse } from "next/server";
+import { NextResponse, after } from "next/server";
+import {
+  NDJSON_CONTENT_TYPE,
+  collectTokenText,
+  createTokenStream,
+  openUpstreamBody,
+  wantsStream,
+} from "@/lib/chatStream";
+import { readChatPayload } from "@/lib/chatPayload";
+import { getWebhookRoute, listRouteNames } from "@/lib/webhookRoutes";
+import { UpstreamError, upstreamErrorResponse } from "@/lib/upstream";
+import { getBackend } from "@/lib/backends";
+import { answerFromFaq, isFaqFallbackEnabled } from "@/lib/faqResponder";
+import { recordExchange } from "@/lib/transcripts";
+import { normalizeBotResponse } from "@/lib/botResponse";
+import { checkRateLimit, sessionIdFromBody, tooManyRequests } from "@/lib/rateLimit";
+
+function exchange(payload, botText, extra = {}) {
+  return {
+    sessionId: payload.sessionId,
+    route: payload.route || "",
+    userText: payload.chatInput,
+    botText,
+    ...extra,
+  };
+}
+
+// Persist the exchange once the response has been sent
+function record(payload, botText, extra) {
+  after(() => recordExchange(exchange(payload, botText, extra)));
+}
+
+// Answer from the bundled FAQ when the chat webhook is missing or failing
+function faqReply(payload) {
+  const answer = answerFromFaq(payload.chatInput);
+  record(payload, answer.output, { fallback: true });
+  return NextResponse.json({ ...normalizeBotResponse(answer), fallback: true, faqId: answer.faqId });
+}
 
 export async function POST(req) {
+  let payload = null;
   try {
-    const url = process.env.N8N_WEBHOOK_URL;
-    if (!url) {
+    const ipLimit = await checkRateLimit("chat", req);
+    if (ipLimit.limited) return tooManyRequests(ipLimit.retryAfter);
+
+    // Forward the raw body as-is (once validated) to preserve arrays/objects
+    const bodyText = await req.text();
+    const sessionLimit = await checkRateLimit("chat", null, sessionIdFromBody(bodyText));
+    if (sessionLimit.limited) return tooManyRequests(sessionLimit.retryAfter);
+
+    const parsed = readChatPayload(bodyText);
+    if (!parsed.ok) {
+      return NextResponse.json(parsed.body, { status: parsed.status });
+    }
+    payload = parsed.payload;
+
+    let route;
+    try {
+      if (listRouteNames().length === 0) {
+        if (isFaqFallbackEnabled()) return faqReply(payload);
+        return NextResponse.json(
+          { error: "N8N_WEBHOOK_URL is not configured" },
+          { status: 500 }
+        );
+      }
+      route = getWebhookRoute(payload.route);
+    } catch {
+      return NextResponse.json(
+        { error: "Webhook routes are misconfigured" },
+        { status: 500 }
+      );
+    }
+    if (!route) {
+      return NextResponse.json(
+        {
+          error: "Unknown route",
+          code: "unknown_route",
+          fields: { route: `Route "${payload.route}" is not available.` },
+        },
+        { status: 400 }
+      );
+    }
+    const backend = getBackend(route);
+    if (!backend) {
+      return NextResponse.json(
+        { error: `Unknown backend "${route.backend}" for route "${route.name}"` },
+        { status: 500 }
+      );
+    }
+    if (!backend.isConfigured(route)) {
+      if (isFaqFallbackEnabled()) return faqReply(payload);
       return NextResponse.json(
-        { error: "N8N_WEBHOOK_URL is not configured" },
+        { error: `Route "${route.name}" is not fully configured` },
         { status: 500 }
       );
     }
 
-    // Forward the raw body as-is to preserve arrays/objects
-    const bodyText = await req.text();
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: bodyText,
-      cache: "no-store",
-    });
+    const res = await backend.send({ route, payload, bodyText, stream: wantsStream(req) });
 
-    const contentType = res.headers.get("content-type") || "";
-    const text = await res.text();
+    // Streamed replies (n8n "Streaming" response mode, OpenAI SSE) are passed
+    // through token by token when the widget asks for it, otherwise collapsed
+    // into the usual { output } shape.
+    const upstream = await openUpstreamBody(res);
+    if (upstream.streaming) {
+      const tokens = createTokenStream(upstream.body, upstream.contentType, {
+        // Streams outlive the request scope, so record directly when done
+        onComplete: (fullText) => recordExchange(exchange(payload, fullText)),
+      });
+      if (wantsStream(req)) {
+        return new Response(tokens, {
+          status: res.status,
+          headers: {
+            "content-type": NDJSON_CONTENT_TYPE,
+            "cache-control": "no-cache, no-transform",
+            "x-accel-buffering": "no",
+          },
+        });
+      }
+      const output = await collectTokenText(tokens);
+      return NextResponse.json({ output }, { status: res.status });
+    }
+
+    const contentType = upstream.contentType;
+    const text = upstream.body ? await new Response(upstream.body).text() : "";
 
     if (contentType.includes("application/json")) {
       try {
         const json = JSON.parse(text);
-        return NextResponse.json(json, { status: res.status });
+        if (!res.ok) return NextResponse.json(json, { status: res.status });
+        // Classic { output } and structured replies both leave as one shape
+        const reply = normalizeBotResponse(json);
+        record(payload, reply.output);
+        return NextResponse.json(reply, { status: res.status });
       } catch {
         // fallthrough to return text
       }
     }
 
+    record(payload, res.ok ? text : "");
     return new NextResponse(text, {
       status: res.status,
       headers: { "content-type": contentType || "text/plain" },
     });
   } catch (e) {
-    return NextResponse.json({ error: "Proxy error" }, { status: 502 });
+    if (payload && e instanceof UpstreamError && isFaqFallbackEnabled()) {
+      return faqReply(payload);
+    }
+    return upstreamErrorResponse(e);
   }
 }
-
@@ -1,8 +1,92 @@
-import { NextResponse } from "next/server";
+import { NextResponse, after } from "next/server";
+import { fetchUpstream, upstreamErrorResponse } from "@/lib/upstream";
+import { CONTACT_LIMITS, readContactPayload } from "@/lib/contactForm";
+import { ATTACHMENT_LIMITS, multipartBody, readAttachments } from "@/lib/attachments";
+import { contactChannels, deliverEntry, enqueueContact, isOutboxEnabled } from "@/lib/outbox";
+import { checkSubmission, rememberSubmission, spamRejectionResponse } from "@/lib/spamGuard";
+import { checkRateLimit, sessionIdFromBody, tooManyRequests } from "@/lib/rateLimit";
+import { readBodyBytes } from "@/lib/requestBody";
+
+const tooLarge = () =>
+  NextResponse.json({ error: "Request body is too large", code: "payload_too_large" }, { status: 413 });
+
+// JSON body, or multipart with the JSON as `payload` plus `attachments` files.
+// The size cap is enforced while reading, whatever content-length says.
+// Returns { bodyText, files } or { error: NextResponse }.
+async function readBody(req) {
+  const contentType = req.headers.get("content-type") || "";
+  if (!contentType.includes("multipart/form-data")) {
+    const bytes = await readBodyBytes(req, CONTACT_LIMITS.maxBodyBytes);
+    if (!bytes) return { error: tooLarge() };
+    return { bodyText: new TextDecoder().decode(bytes), files: [] };
+  }
+
+  const bytes = await readBodyBytes(req, ATTACHMENT_LIMITS.maxTotalBytes + CONTACT_LIMITS.maxBodyBytes);
+  if (!bytes) return { error: tooLarge() };
+  try {
+    const form = await new Response(bytes, { headers: { "content-type": contentType } }).formData();
+    return {
+      bodyText: String(form.get("payload") || ""),
+      files: form.getAll("attachments").filter((f) => typeof f === "object"),
+    };
+  } catch {
+    return {
+      error: NextResponse.json(
+        { error: "Request body must be valid multipart form data", code: "invalid_multipart" },
+        { status: 400 }
+      ),
+    };
+  }
+}
 
 export async function POST(req) {
   try {
     const url = process.env.CONTACT_WEBHOOK_URL;
+    if (contactChannels().length === 0) {
+      return NextResponse.json(
+        { error: "CONTACT_WEBHOOK_URL is not configured" },
+        { status: 500 }
+      );
+    }
+
+    // The IP limit is checked before the (possibly large) body is read, the
+    // session limit once it is parsed
+    const ipLimit = await checkRateLimit("contact", req);
+    if (ipLimit.limited) return tooManyRequests(ipLimit.retryAfter);
+
+    const { bodyText, files, error } = await readBody(req);
+    if (error) return error;
+    const sessionLimit = await checkRateLimit("contact", null, sessionIdFromBody(bodyText));
+    if (sessionLimit.limited) return tooManyRequests(sessionLimit.retryAfter);
+
+    const parsed = readContactPayload(bodyText);
+    if (!parsed.ok) {
+      return NextResponse.json(parsed.body, { status: parsed.status });
+    }
+
+    const uploads = await readAttachments(files);
+    if (!uploads.ok) {
+      return NextResponse.json(
+        { error: "Invalid request", code: "invalid_request", fields: { attachments: uploads.message } },
+        { status: 400 }
+      );
+    }
+
+    const guard = await checkSubmission(req, parsed.payload, parsed.signals);
+    if (!guard.ok) return spamRejectionResponse(guard.reason);
+
+    // Queue the lead durably and acknowledge it; delivery is retried by the
+    // outbox worker. Only if the outbox itself fails, send directly.
+    if (isOutboxEnabled()) {
+      try {
+        const id = await enqueueContact(parsed.payload, uploads.files);
+        await rememberSubmission(parsed.payload);
+        after(() => deliverEntry(id));
+        return NextResponse.json({ ok: true, queued: true, reference: id }, { status: 202 });
+      } catch (err) {
+        console.error("[contact] could not queue submission, sending directly:", err);
+      }
+    }
     if (!url) {
       return NextResponse.json(
         { error: "CONTACT_WEBHOOK_URL is not configured" },
@@ -10,14 +94,19 @@ export async function POST(req) {
       );
     }
 
-    const bodyText = await req.text();
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: bodyText,
-      cache: "no-store",
+    // Forward the normalized lead, not the raw body
+    const outbound =
+      uploads.files.length > 0
+        ? await multipartBody(parsed.payload, uploads.files)
+        : { body: JSON.stringify(parsed.payload), contentType: "application/json" };
+    const res = await fetchUpstream(url, {
+      headers: { "Content-Type": outbound.contentType },
+      body: outbound.body,
+      breakerKey: "contact",
     });
 
+    if (res.ok) await rememberSubmission(parsed.payload);
+
     const contentType = res.headers.get("content-type") || "";
     const text = await res.text();
 
@@ -35,6 +124,6 @@ export async function POST(req) {
       headers: { "content-type": contentType || "text/plain" },
     });
   } catch (e) {
-    return NextResponse.json({ error: "Proxy error" }, { status: 502 });
+    return upstreamErrorResponse(e);
   }
 }
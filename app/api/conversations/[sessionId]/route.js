@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { SESSION_ID_PATTERN } from "@/lib/chatPayload";
+import { readTranscript } from "@/lib/transcripts";
+
+// Read back a chat transcript: GET /api/conversations/:sessionId
+// Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+export async function GET(req, { params }) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  const { sessionId } = await params;
+  if (!SESSION_ID_PATTERN.test(sessionId || "")) {
+    return NextResponse.json({ error: "Invalid session id" }, { status: 400 });
+  }
+
+  try {
+    const messages = await readTranscript(sessionId);
+    if (!messages.length) {
+      return NextResponse.json({ error: "Conversation not found" }, { status: 404 });
+    }
+    return NextResponse.json(
+      { sessionId, messages },
+      { headers: { "cache-control": "no-store" } }
+    );
+  } catch (e) {
+    return NextResponse.json({ error: "Failed to read conversation" }, { status: 500 });
+  }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { SESSION_ID_PATTERN } from "@/lib/chatPayload";
+import { deckSpecFromUrl, validateDeckSpec } from "@/lib/deckSpec";
+import { deckPlanPdf, getCalculatorConfig } from "@/lib/deckPlan";
+
+// Shareable PDF plan for a deck spec:
+// GET /api/deck-plan?<Deck Calculator params>&session=<sessionId>
+// The query uses the default calculator parameter names (deckPlanUrl).
+// DECK_CALCULATOR only shapes the calculator link printed in the PDF.
+export async function GET(req) {
+  let calculator;
+  try {
+    calculator = getCalculatorConfig();
+  } catch (e) {
+    return NextResponse.json({ error: "Deck calculator is misconfigured" }, { status: 500 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const spec = deckSpecFromUrl(`?${searchParams}`);
+  const errors = validateDeckSpec(spec);
+  if (Object.keys(errors).length > 0) {
+    return NextResponse.json(
+      { error: "Invalid deck spec", code: "invalid_request", fields: errors },
+      { status: 400 }
+    );
+  }
+
+  const session = searchParams.get("session") || "";
+  if (session && !SESSION_ID_PATTERN.test(session)) {
+    return NextResponse.json(
+      { error: "Invalid session id", code: "invalid_request", fields: { session: "Invalid session id." } },
+      { status: 400 }
+    );
+  }
+
+  let pdf;
+  try {
+    pdf = deckPlanPdf({ spec, sessionId: session, calculator });
+  } catch (e) {
+    return NextResponse.json({ error: "Failed to generate the plan" }, { status: 500 });
+  }
+  const filename = `spanmor-deck-plan-${spec.lengthMm}x${spec.widthMm}.pdf`;
+  return new NextResponse(pdf, {
+    headers: {
+      "content-type": "application/pdf",
+      "content-disposition": `attachment; filename="${filename}"`,
+      "cache-control": "no-store",
+    },
+  });
+}
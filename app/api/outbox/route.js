@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { listOutbox } from "@/lib/outbox";
+
+const STATES = ["failed", "stuck", "pending"];
+
+// Contact deliveries that have not gone through: GET /api/outbox
+// Optional ?state=failed,stuck,pending (default failed,stuck) or ?state=all.
+// Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+export async function GET(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  const param = new URL(req.url).searchParams.get("state") || "failed,stuck";
+  const states = param === "all" ? STATES : param.split(",").map((s) => s.trim());
+  if (!states.every((s) => STATES.includes(s))) {
+    return NextResponse.json(
+      { error: `state must be "all" or a list of: ${STATES.join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const entries = await listOutbox({ states });
+    return NextResponse.json(
+      { count: entries.length, entries },
+      { headers: { "cache-control": "no-store" } }
+    );
+  } catch (e) {
+    return NextResponse.json({ error: "Failed to read the outbox" }, { status: 500 });
+  }
+}
@@ -1,5 +1,43 @@
 "use client";
 import React, { useCallback, useMemo, useState, useEffect, useRef } from "react";
+import { NDJSON_CONTENT_TYPE, readChatStream } from "@/lib/chatStream";
+import { CHAT_LIMITS } from "@/lib/chatPayload";
+import {
+  CONTACT_LIMITS,
+  buildContactContext,
+  normalizeContactFields,
+  validateContactFields,
+} from "@/lib/contactForm";
+import { extractActionsFromText, normalizeBotResponse } from "@/lib/botResponse";
+import { callbackChoiceProblem } from "@/lib/callbackSlots";
+import {
+  DECK_CONFIGS,
+  DECK_FORM_FIELDS,
+  DECK_LIMITS,
+  DECK_SIDES,
+  EMPTY_DECK_FORM,
+  JOIST_CONFIGS,
+  calculatorUrl,
+  deckPlanUrl,
+  deckFormFromSpec,
+  dimensionPreview,
+  isDeckFormEmpty,
+  newDeckSection,
+  sectionName,
+  validateDeckForm,
+} from "@/lib/deckSpec";
+import { deckDetailsFromUrl, extractDeckDetails } from "@/lib/deckExtract";
+import { estimateDeck } from "@/lib/deckEstimate";
+import { forgetDeckStore, loadDeckStore, saveDeckStore, withSavedSpec } from "@/lib/deckDrafts";
+import DeckPreview from "@/components/DeckPreview";
+import {
+  ATTACHMENT_ACCEPT,
+  ATTACHMENT_LIMITS,
+  attachmentProblem,
+  attachmentType,
+  formatBytes,
+  validateAttachments,
+} from "@/lib/attachments";
 
 // Render message text with clickable links.
 // Supports Markdown links [text](https://...) and bare URLs.
@@ -78,10 +116,14 @@ function sanitizeTypingDisplay(text) {
   const mdComplete = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
   const bareUrl = /(https?:\/\/[^\s]+)/g;
   const mdPartial = /\[([^\]]+)\]\([^)]*$/; // until end of line
+  const actionToken = /\[\[[a-z_]+\]\]/g;
+  const actionTokenPartial = /\[\[?[a-z_]*\]?$/; // streamed token cut mid-way
 
   const lines = safe.split(/\n/);
   const out = lines.map((line) => {
     let s = line;
+    // Hide [[open_deck_form]]-style action tokens while a reply streams in
+    s = s.replace(actionToken, "").replace(actionTokenPartial, "");
     // Replace complete markdown links with their label
     s = s.replace(mdComplete, "$1");
     // Hide bare URLs from the typing display
@@ -96,11 +138,81 @@ function sanitizeTypingDisplay(text) {
   return out.join("\n");
 }
 
+// Friendly "please slow down" text for 429 responses, using Retry-After
+function slowDownMessage(res, lead) {
+  const seconds = Number(res?.headers?.get("retry-after"));
+  let wait = "a moment";
+  if (Number.isFinite(seconds) && seconds > 0) {
+    const minutes = Math.ceil(seconds / 60);
+    wait =
+      seconds < 60
+        ? `${seconds} second${seconds === 1 ? "" : "s"}`
+        : `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  }
+  return `${lead} Please slow down and try again in ${wait}.`;
+}
+
+// First readable message from a structured 4xx error body ({ error, fields })
+function requestErrorMessage(data) {
+  const fieldMessages = Object.values(data?.fields || {}).filter(Boolean);
+  return String(fieldMessages[0] || data?.error || "");
+}
+
+// Contact submissions turned away by the spam checks (lib/spamGuard.js)
+const contactRejectionText = {
+  too_fast: "Please take a moment to check your details, then submit again.",
+  challenge_failed: "We couldn't verify your submission. Please reload the page and try again.",
+};
+
+// What to tell the user when a proxy route reports an upstream failure
+// (`code` from lib/upstream.js: upstream_timeout, circuit_open, upstream_error)
+const upstreamFailureText = {
+  chat: {
+    upstream_timeout:
+      "Sorry, our assistant is taking too long to reply. Please try again in a moment.",
+    circuit_open:
+      "Our assistant is temporarily unavailable. Please try again in a few minutes, or contact us directly.",
+    default: "Sorry, there was a problem sending your message.",
+  },
+  contact: {
+    upstream_timeout:
+      "Our system is taking too long to respond. Please try again in a moment.",
+    circuit_open:
+      "Our enquiry system is temporarily unavailable. Please try again in a few minutes.",
+    default: "Sorry, something went wrong. Please try again.",
+  },
+};
+
+// "AUD $1,800 – $2,450"
+function formatPriceBand({ low, high, currency }) {
+  const money = (n) => `$${n.toLocaleString("en-AU")}`;
+  return `${currency} ${money(low)} – ${money(high)}`;
+}
+
+// "6000 × 3000 mm + 1 section, Wall mounted"
+function savedDeckLabel(spec) {
+  const extra = spec.sections?.length
+    ? ` + ${spec.sections.length} section${spec.sections.length > 1 ? "s" : ""}`
+    : "";
+  return `${spec.lengthMm} × ${spec.widthMm} mm${extra}, ${DECK_CONFIGS[spec.deckConfig].label}`;
+}
+
+// Local store key for deck drafts: the configured site, else the page's host
+function deckStoreSite(drafts) {
+  return drafts.site || window.location.host;
+}
+
+function upstreamFailureMessage(context, code) {
+  const texts = upstreamFailureText[context];
+  return texts[code] || texts.default;
+}
+
 // Note: Messages are rendered via ReactMarkdown with remark-gfm
 // to support links, lists, tables, code blocks, etc.
 
 const defaultConfig = {
-  webhook: { url: "", route: "" },
+  // `stream`: ask /api/chat for a token stream; plain JSON replies still work
+  webhook: { url: "", route: "", stream: true },
   typingSpeedMs: 20,
   branding: {
     logo: "",
@@ -123,6 +235,20 @@ const defaultConfig = {
     sendVolume: 0.2,
     receiveVolume: 0.1,
   },
+  // `getChallengeToken`: optional async () => token for the bot challenge
+  // configured on the server (CONTACT_CHALLENGE), e.g. a Turnstile token.
+  // `includeContext`: attach the chat so far and the deck form values
+  contact: { getChallengeToken: null, includeContext: true },
+  // Live estimate in the deck panel. `prices`: overrides for
+  // DEFAULT_PRICE_TABLE in lib/deckEstimate.js
+  estimate: { enabled: true, prices: null },
+  // Keep deck form drafts and submitted specs in localStorage, per `site`
+  // (default: the page's host)
+  drafts: { enabled: true, site: "" },
+  // Deck Calculator hand-off. `url`, `params` and `options` override
+  // DEFAULT_CALCULATOR in lib/deckSpec.js. `prefillFromPage`: fill the deck
+  // form from those parameters when they are in the page's URL
+  calculator: { url: "", params: null, options: null, prefillFromPage: true },
 };
 
 export default function Chatbot({ config: userConfig }) {
@@ -139,6 +265,10 @@ export default function Chatbot({ config: userConfig }) {
       branding: { ...defaultConfig.branding, ...(userConfig?.branding || {}) },
       style: { ...defaultConfig.style, ...(userConfig?.style || {}) },
       audio: { ...defaultConfig.audio, ...(userConfig?.audio || {}) },
+      contact: { ...defaultConfig.contact, ...(userConfig?.contact || {}) },
+      estimate: { ...defaultConfig.estimate, ...(userConfig?.estimate || {}) },
+      drafts: { ...defaultConfig.drafts, ...(userConfig?.drafts || {}) },
+      calculator: { ...defaultConfig.calculator, ...(userConfig?.calculator || {}) },
       typingSpeedMs: Number(
         userConfig?.typingSpeedMs ?? defaultConfig.typingSpeedMs
       ),
@@ -152,6 +282,8 @@ export default function Chatbot({ config: userConfig }) {
   const [input, setInput] = useState("");
   const [messages, setMessages] = useState([]); // { role: 'user'|'bot', text: string }
   const [sending, setSending] = useState(false);
+  // Id of the bot message currently receiving streamed tokens
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
   const [hasFocus, setHasFocus] = useState(false);
   const [mounted, setMounted] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
@@ -166,14 +298,7 @@ export default function Chatbot({ config: userConfig }) {
     message: "",
   });
   const [deckFormOpen, setDeckFormOpen] = useState(false);
-  const [deckForm, setDeckForm] = useState({
-    length: "",
-    width: "",
-    minHeight: "",
-    maxHeight: "",
-    deckConfig: "",
-    joistConfig: "",
-  });
+  const [deckForm, setDeckForm] = useState({ ...EMPTY_DECK_FORM });
   const [deckTouched, setDeckTouched] = useState({
     length: false,
     width: false,
@@ -183,7 +308,14 @@ export default function Chatbot({ config: userConfig }) {
     joistConfig: false,
   });
   const [deckErrors, setDeckErrors] = useState({});
+  // Deck details picked up from chat, applied when the deck form next opens
+  const deckPrefillRef = useRef(null);
+  const [deckPrefillNote, setDeckPrefillNote] = useState("");
   const [deckPrompted, setDeckPrompted] = useState(false);
+  // Submitted specs kept in this browser, and the one being edited
+  const [savedDecks, setSavedDecks] = useState([]);
+  const [editingDeckId, setEditingDeckId] = useState(null);
+  const [deckStoreLoaded, setDeckStoreLoaded] = useState(false);
   const [contactTouched, setContactTouched] = useState({
     name: false,
     phone: false,
@@ -191,6 +323,14 @@ export default function Chatbot({ config: userConfig }) {
     message: false,
   });
   const [contactErrors, setContactErrors] = useState({});
+  // Contact attachments: { id, file, previewUrl } (previewUrl for images only)
+  const [contactFiles, setContactFiles] = useState([]);
+  const [attachmentError, setAttachmentError] = useState("");
+  // "Request a callback" mode: slots come from /api/callback-slots
+  const [callbackMode, setCallbackMode] = useState(false);
+  const [callbackSlot, setCallbackSlot] = useState("");
+  const [callbackError, setCallbackError] = useState("");
+  const [callbackSlots, setCallbackSlots] = useState({ status: "idle", slots: [] });
   // CTAs persist per message; no global active gating
   // Typing speed for bot replies (milliseconds per character)
   // Adjust via `config.typingSpeedMs` when using the component.
@@ -198,6 +338,12 @@ export default function Chatbot({ config: userConfig }) {
 
   const positionLeft = config.style.position === "left";
 
+  // Spam signals for the contact form: panel open time and honeypot field
+  const contactOpenedAtRef = useRef(0);
+  const honeypotRef = useRef(null);
+  // Last deck spec sent to the calculator, attached to contact submissions
+  const lastDeckRef = useRef(null);
+  const contactFilesRef = useRef([]);
   // Refs for outside-click handling
   const containerRef = useRef(null);
   const toggleRef = useRef(null);
@@ -214,6 +360,8 @@ export default function Chatbot({ config: userConfig }) {
   const typingMessageIdRef = useRef(null);
   // Full text of the message currently being typed (for graceful finalization)
   const typingFullTextRef = useRef("");
+  // Remaining parts of a multi-part reply, typed once the current one is done
+  const typingQueueRef = useRef([]);
 
   // Close when clicking outside the chat container and toggle button
   useEffect(() => {
@@ -462,31 +610,65 @@ export default function Chatbot({ config: userConfig }) {
     return results;
   }, []);
 
+  // Bot message with link CTAs plus any structured extras (actions, links,
+  // quick replies, product cards) from the reply
+  const buildBotMessage = useCallback(
+    (fullText, opts = {}, shownText = "") => {
+      const links = extractLinks(fullText);
+      for (const lnk of opts.links || []) {
+        if (!links.some((l) => l.url === lnk.url)) links.push(lnk);
+      }
+      return {
+        id: crypto.randomUUID(),
+        role: "bot",
+        text: shownText,
+        links,
+        actions: Array.isArray(opts.actions) ? opts.actions : undefined,
+        quickReplies: Array.isArray(opts.quickReplies) ? opts.quickReplies : undefined,
+        cards: Array.isArray(opts.cards) ? opts.cards : undefined,
+      };
+    },
+    [extractLinks]
+  );
+
+  // Finalize the message currently being typed (if any) with its full text
+  const finishTyping = useCallback(() => {
+    if (typingTimerRef.current) {
+      const prevId = typingMessageIdRef.current;
+      const prevFull = typingFullTextRef.current || "";
+      if (prevId) {
+        setMessages((prev) => {
+          const updated = [...prev];
+          const idx = updated.findIndex((m) => m.id === prevId);
+          if (idx !== -1) {
+            updated[idx] = { ...updated[idx], text: prevFull };
+          }
+          return updated;
+        });
+      }
+      clearInterval(typingTimerRef.current);
+      typingTimerRef.current = null;
+    }
+    // Reset any previous typing target
+    typingMessageIdRef.current = null;
+    typingFullTextRef.current = "";
+    // An interrupted multi-part reply shows its remaining parts right away
+    const queued = typingQueueRef.current;
+    typingQueueRef.current = [];
+    if (queued.length) {
+      setMessages((prev) => [
+        ...prev,
+        ...queued.map((part) => buildBotMessage(part.text, part.opts, part.text)),
+      ]);
+    }
+  }, [buildBotMessage]);
+
   const typeOutBotMessage = useCallback(
     (fullText, opts = {}) => {
       const text = String(fullText ?? "").trim();
 
       // If a previous typing timer is active, clear it before starting a new one
-      if (typingTimerRef.current) {
-        // Finalize the currently typing message before starting a new one
-        const prevId = typingMessageIdRef.current;
-        const prevFull = typingFullTextRef.current || "";
-        if (prevId) {
-          setMessages((prev) => {
-            const updated = [...prev];
-            const idx = updated.findIndex((m) => m.id === prevId);
-            if (idx !== -1) {
-              updated[idx] = { ...updated[idx], text: prevFull };
-            }
-            return updated;
-          });
-        }
-        clearInterval(typingTimerRef.current);
-        typingTimerRef.current = null;
-      }
-      // Reset any previous typing target
-      typingMessageIdRef.current = null;
-      typingFullTextRef.current = "";
+      finishTyping();
 
       // Skip creating an empty bot bubble if there's no content
       const len = text.length;
@@ -495,17 +677,14 @@ export default function Chatbot({ config: userConfig }) {
       }
 
       // Create a dedicated bot message with a stable id to update
-      const id = crypto.randomUUID();
+      // Extract links once so we can show CTAs and clickable anchors immediately
+      const message = buildBotMessage(text, opts);
+      const id = message.id;
       typingMessageIdRef.current = id;
       typingFullTextRef.current = text;
+      typingQueueRef.current = Array.isArray(opts.queue) ? opts.queue : [];
       // Create the target bot message we will progressively update
-      // Extract links once so we can show CTAs and clickable anchors immediately
-      const links = extractLinks(text);
-      const actions = Array.isArray(opts.actions) ? opts.actions : undefined;
-      setMessages((prev) => [
-        ...prev,
-        { id, role: "bot", text: "", links, actions },
-      ]);
+      setMessages((prev) => [...prev, message]);
 
       let i = 0;
 
@@ -531,10 +710,35 @@ export default function Chatbot({ config: userConfig }) {
           typingMessageIdRef.current = null;
           playSound("receive");
           // Bot message finished typing; CTAs render based on message state
+          // Continue with the next part of a multi-part reply
+          const [next, ...rest] = typingQueueRef.current;
+          typingQueueRef.current = [];
+          if (next) typeOutBotMessage(next.text, { ...next.opts, queue: rest });
         }
       }, typingSpeedMs);
     },
-    [typingSpeedMs, extractLinks, scheduleScrollToBottom, playSound]
+    [typingSpeedMs, buildBotMessage, finishTyping, scheduleScrollToBottom, playSound]
+  );
+
+  // Type out a normalized reply (lib/botResponse.js): one bubble per part,
+  // with actions, links, quick replies and cards on the last one.
+  const typeOutBotReply = useCallback(
+    (reply) => {
+      const parts = reply.parts.length ? reply.parts : [{ text: "Hi! I'm here to help you." }];
+      const extras = {
+        actions: reply.actions,
+        links: reply.links,
+        quickReplies: reply.quickReplies,
+        cards: reply.cards,
+      };
+      const queue = parts.map((part, idx) => ({
+        text: part.text,
+        opts: idx === parts.length - 1 ? extras : {},
+      }));
+      const [first, ...rest] = queue;
+      typeOutBotMessage(first.text, { ...first.opts, queue: rest });
+    },
+    [typeOutBotMessage]
   );
 
   const startNewConversation = useCallback(() => {
@@ -551,6 +755,7 @@ export default function Chatbot({ config: userConfig }) {
   }, [typeOutBotMessage, unlockAudio]);
 
   const openContactForm = useCallback(() => {
+    contactOpenedAtRef.current = Date.now();
     setContactOpen(true);
     setDeckFormOpen(false);
     setContactStatus({ type: "", message: "" });
@@ -562,6 +767,29 @@ export default function Chatbot({ config: userConfig }) {
   }, []);
 
   const openDeckForm = useCallback(() => {
+    const prefill = deckPrefillRef.current;
+    if (prefill) {
+      deckPrefillRef.current = null;
+      setDeckForm((prev) => ({ ...prev, ...prefill.values }));
+      // Show problems with prefilled values straight away
+      setDeckTouched((prev) => {
+        const next = { ...prev };
+        for (const field of Object.keys(prefill.values)) {
+          if (field !== "sections") next[field] = true;
+        }
+        // Section fields are tracked per section, as "<id>.<field>"
+        for (const section of prefill.values.sections || []) {
+          for (const field of Object.keys(section)) {
+            if (field !== "id") next[`${section.id}.${field}`] = true;
+          }
+        }
+        return next;
+      });
+      setDeckPrefillNote(
+        `Filled in from ${prefill.source || "your message"}: ${prefill.recognized.join(", ")}. ` +
+          "Check these and complete the rest."
+      );
+    }
     setDeckFormOpen(true);
     setContactOpen(false);
   }, []);
@@ -582,147 +810,231 @@ export default function Chatbot({ config: userConfig }) {
     );
   }, []);
 
-  const deckFormToken = "[[open_deck_form]]";
-  const contactFormToken = "[[open_contact_form]]";
-
-  const extractActionsFromText = useCallback(
-    (rawText) => {
-      const text = String(rawText || "");
-      const actions = [];
-      let cleaned = text;
-      if (cleaned.includes(deckFormToken)) {
-        cleaned = cleaned.replace(deckFormToken, "").replace(/\n{3,}/g, "\n\n").trim();
-        actions.push({ type: "openDeckForm", label: "Start deck quote" });
-      }
-      if (cleaned.includes(contactFormToken)) {
-        cleaned = cleaned
-          .replace(contactFormToken, "")
-          .replace(/\n{3,}/g, "\n\n")
-          .trim();
-        actions.push({ type: "openContactForm", label: "Contact us" });
-      }
-      return { cleaned, actions };
+  // Render a streamed reply as tokens arrive from /api/chat.
+  // Resolves with { text, error }: the full reply text (empty if nothing was
+  // streamed) and the stream error, if it broke off.
+  const streamBotMessage = useCallback(
+    async (body) => {
+      const id = crypto.randomUUID();
+      let shown = false;
+      const { text, error } = await readChatStream(body, {
+        onToken: (_token, fullText) => {
+          if (!shown) {
+            shown = true;
+            finishTyping();
+            setSending(false);
+            setStreamingMessageId(id);
+            setMessages((prev) => [...prev, { id, role: "bot", text: fullText }]);
+          } else {
+            setMessages((prev) =>
+              prev.map((m) => (m.id === id ? { ...m, text: fullText } : m))
+            );
+          }
+          scheduleScrollToBottom();
+        },
+      });
+      setStreamingMessageId(null);
+      if (!shown) return { text: "", error };
+
+      // Stream finished: resolve action tokens and link CTAs on the full text.
+      // A reply that broke off is kept, marked as interrupted.
+      const { cleaned, actions } = extractActionsFromText(text);
+      const links = extractLinks(cleaned);
+      setMessages((prev) =>
+        prev.map((m) =>
+          m.id === id ? { ...m, text: cleaned, links, actions, interrupted: Boolean(error) } : m
+        )
+      );
+      playSound("receive");
+      return { text, error };
     },
-    [contactFormToken, deckFormToken]
+    [extractLinks, finishTyping, playSound, scheduleScrollToBottom]
   );
 
-  const handleMessageAction = useCallback(
-    (action) => {
-      if (!action) return;
-      if (action.type === "openDeckForm") {
-        openDeckForm();
-      }
-      if (action.type === "openContactForm") {
-        openContactForm();
-      }
-    },
-    [openContactForm, openDeckForm]
-  );
 
   const updateContactField = useCallback((field, value) => {
     setContactForm((prev) => ({ ...prev, [field]: value }));
   }, []);
 
-  const updateDeckField = useCallback((field, value) => {
-    setDeckForm((prev) => ({ ...prev, [field]: value }));
+  // Release image previews when attachments go away
+  useEffect(() => {
+    contactFilesRef.current = contactFiles;
+  }, [contactFiles]);
+
+  useEffect(
+    () => () => {
+      contactFilesRef.current.forEach((f) => f.previewUrl && URL.revokeObjectURL(f.previewUrl));
+    },
+    []
+  );
+
+  const addAttachments = useCallback((e) => {
+    const picked = Array.from(e.target.files || []);
+    // Allow picking the same file again after removing it
+    e.target.value = "";
+    if (picked.length === 0) return;
+
+    const current = contactFilesRef.current;
+    const accepted = [];
+    let problem = "";
+    for (const file of picked) {
+      const issue =
+        attachmentProblem(file) ||
+        validateAttachments([...current, ...accepted].map((f) => f.file).concat(file));
+      if (issue) {
+        problem = problem || issue;
+        continue;
+      }
+      // Browsers cannot render HEIC, so those get a badge instead of a preview
+      const type = attachmentType(file);
+      const isImage = type.startsWith("image/") && type !== "image/heic";
+      accepted.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        file,
+        previewUrl: isImage ? URL.createObjectURL(file) : "",
+      });
+    }
+    setAttachmentError(problem);
+    if (accepted.length > 0) setContactFiles([...current, ...accepted]);
   }, []);
 
-  const parseDimension = useCallback((value) => {
-    const raw = String(value || "").trim().toLowerCase();
-    if (!raw) return null;
-    const match = raw.match(/^([0-9]*\.?[0-9]+)\s*(mm|cm|m|in|ft)?$/i);
-    if (!match) return null;
-    const amount = Number(match[1]);
-    if (!Number.isFinite(amount)) return null;
-    const unit = match[2] || "mm";
-    const unitMap = {
-      mm: 1,
-      cm: 10,
-      m: 1000,
-      in: 25.4,
-      ft: 304.8,
-    };
-    const factor = unitMap[unit];
-    if (!factor) return null;
-    return Math.round(amount * factor);
+  const loadCallbackSlots = useCallback(async () => {
+    setCallbackSlots((prev) => ({ ...prev, status: "loading" }));
+    try {
+      const res = await fetch("/api/callback-slots", { cache: "no-store" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      const slots = Array.isArray(data?.slots) ? data.slots : [];
+      setCallbackSlots({ status: "ready", slots });
+      // Drop a selection that is no longer offered
+      setCallbackSlot((prev) => (slots.some((s) => s.start === prev) ? prev : ""));
+    } catch (_) {
+      setCallbackSlots({ status: "error", slots: [] });
+    }
   }, []);
 
-  const deckParsed = {
-    length: parseDimension(deckForm.length),
-    width: parseDimension(deckForm.width),
-    minHeight: parseDimension(deckForm.minHeight),
-    maxHeight: parseDimension(deckForm.maxHeight),
-  };
+  const toggleCallbackMode = useCallback(
+    (on) => {
+      setCallbackMode(on);
+      setCallbackError("");
+      if (on) loadCallbackSlots();
+    },
+    [loadCallbackSlots]
+  );
 
-  const validateDeckForm = useCallback(
-    (values) => {
-      const errors = {};
-      const parsed = {
-        length: parseDimension(values.length),
-        width: parseDimension(values.width),
-        minHeight: parseDimension(values.minHeight),
-        maxHeight: parseDimension(values.maxHeight),
-      };
+  const selectCallbackSlot = useCallback((start) => {
+    setCallbackSlot(start);
+    setCallbackError("");
+  }, []);
 
-      if (!values.deckConfig) errors.deckConfig = "Select a deck configuration.";
-      if (!values.joistConfig) errors.joistConfig = "Select a joist configuration.";
+  const removeAttachment = useCallback((id) => {
+    setContactFiles((prev) => {
+      const removed = prev.find((f) => f.id === id);
+      if (removed?.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+      return prev.filter((f) => f.id !== id);
+    });
+    setAttachmentError("");
+  }, []);
 
-      if (!parsed.length) errors.length = "Enter a valid length.";
-      else if (parsed.length < 1000 || parsed.length > 9000)
-        errors.length = "Length must be 1000 to 9000 mm.";
+  const updateDeckField = useCallback((field, value) => {
+    setDeckForm((prev) => ({ ...prev, [field]: value }));
+  }, []);
 
-      if (!parsed.width) errors.width = "Enter a valid width.";
-      else if (parsed.width < 1000 || parsed.width > 9000)
-        errors.width = "Width must be 1000 to 9000 mm.";
+  // Extra sections of an L-shaped or stepped deck. Their fields are touched
+  // under "<section id>.<field>".
+  const addDeckSection = useCallback(() => {
+    setDeckForm((prev) =>
+      prev.sections.length >= DECK_LIMITS.maxSections - 1
+        ? prev
+        : { ...prev, sections: [...prev.sections, newDeckSection(prev.sections)] }
+    );
+  }, []);
 
-      if (!parsed.minHeight) errors.minHeight = "Enter a valid minimum height.";
-      else if (parsed.minHeight < 125 || parsed.minHeight > 2800)
-        errors.minHeight = "Minimum height must be 125 to 2800 mm.";
+  const removeDeckSection = useCallback((id) => {
+    setDeckForm((prev) => {
+      const removed = prev.sections.find((s) => s.id === id);
+      if (!removed) return prev;
+      // Sections attached to the removed one move to where it was attached
+      const sections = prev.sections
+        .filter((s) => s.id !== id)
+        .map((s) => (s.attachTo === id ? { ...s, attachTo: removed.attachTo } : s));
+      return { ...prev, sections };
+    });
+  }, []);
 
-      if (!parsed.maxHeight) errors.maxHeight = "Enter a valid maximum height.";
-      else if (parsed.maxHeight < 125 || parsed.maxHeight > 2800)
-        errors.maxHeight = "Maximum height must be 125 to 2800 mm.";
+  const updateDeckSection = useCallback((id, field, value) => {
+    setDeckForm((prev) => ({
+      ...prev,
+      sections: prev.sections.map((s) => (s.id === id ? { ...s, [field]: value } : s)),
+    }));
+  }, []);
 
-      if (
-        parsed.minHeight &&
-        parsed.maxHeight &&
-        parsed.maxHeight <= parsed.minHeight
-      ) {
-        errors.maxHeight = "Maximum height must be greater than minimum height.";
-      }
+  // How each dimension was read, e.g. "12 ft 6 in = 3810 mm"
+  const deckPreview = {
+    length: dimensionPreview(deckForm.length),
+    width: dimensionPreview(deckForm.width),
+    minHeight: dimensionPreview(deckForm.minHeight),
+    maxHeight: dimensionPreview(deckForm.maxHeight),
+  };
 
-      return { errors, parsed };
-    },
-    [parseDimension]
+  // Errors the preview highlights: fields the user has filled in or left
+  const deckPreviewErrors = Object.fromEntries(
+    Object.entries(deckErrors).filter(([key]) => {
+      const match = key.match(/^sections\.(\d+)\.(\w+)$/);
+      if (!match) return deckTouched[key] || String(deckForm[key] ?? "").trim();
+      const section = deckForm.sections[Number(match[1])];
+      return section && (deckTouched[`${section.id}.${match[2]}`] || String(section[match[2]] ?? "").trim());
+    })
   );
 
-  const validateContactForm = useCallback((values) => {
-    const errors = {};
-    const name = values.name.trim();
-    const phone = values.phone.trim();
-    const email = values.email.trim();
-    const message = values.message.trim();
-    const emailOk = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-    const phoneDigits = phone.replace(/\D/g, "");
-
-    if (!name) errors.name = "Name is required.";
-    if (!phone) errors.phone = "Phone is required.";
-    else if (phoneDigits.length < 7) errors.phone = "Enter a valid phone number.";
-    if (!email) errors.email = "Email is required.";
-    else if (!emailOk) errors.email = "Enter a valid email address.";
-    if (!message) errors.message = "How Can We Help? is required.";
-
-    return errors;
-  }, []);
+  // Indicative materials and price, once the deck form is valid
+  const deckEstimate = useMemo(() => {
+    if (!config.estimate.enabled) return null;
+    const { errors, spec } = validateDeckForm(deckForm);
+    if (Object.keys(errors).length > 0) return null;
+    return estimateDeck(spec, config.estimate.prices);
+  }, [config.estimate, deckForm]);
 
   useEffect(() => {
-    setContactErrors(validateContactForm(contactForm));
-  }, [contactForm, validateContactForm]);
+    setContactErrors(validateContactFields(contactForm));
+  }, [contactForm]);
 
   useEffect(() => {
     const { errors } = validateDeckForm(deckForm);
     setDeckErrors(errors);
-  }, [deckForm, validateDeckForm]);
+  }, [deckForm]);
+
+  // Deck Calculator parameters in the page's URL prefill the deck form the
+  // next time it opens, like details mentioned in chat
+  useEffect(() => {
+    if (!config.calculator.prefillFromPage) return;
+    const details = deckDetailsFromUrl(window.location.href, config.calculator);
+    if (details.recognized.length > 0) {
+      deckPrefillRef.current = { ...details, source: "this page's link" };
+    }
+  }, [config.calculator]);
+
+  // Restore an unfinished deck form and the saved specs
+  useEffect(() => {
+    if (!config.drafts.enabled) return;
+    const { draft, saved } = loadDeckStore(deckStoreSite(config.drafts));
+    if (draft && !isDeckFormEmpty(draft.form)) {
+      setDeckForm(draft.form);
+      setEditingDeckId(draft.editing);
+      setDeckPrefillNote("Restored the deck details you were entering.");
+    }
+    setSavedDecks(saved);
+    setDeckStoreLoaded(true);
+  }, [config.drafts]);
+
+  // Autosave after every change, once the stored state has been restored
+  useEffect(() => {
+    if (!config.drafts.enabled || !deckStoreLoaded) return;
+    saveDeckStore(deckStoreSite(config.drafts), {
+      draft: isDeckFormEmpty(deckForm) ? null : { form: deckForm, editing: editingDeckId },
+      saved: savedDecks,
+    });
+  }, [config.drafts, deckForm, deckStoreLoaded, editingDeckId, savedDecks]);
 
   const markContactTouched = useCallback((field) => {
     setContactTouched((prev) => ({ ...prev, [field]: true }));
@@ -732,42 +1044,52 @@ export default function Chatbot({ config: userConfig }) {
     setDeckTouched((prev) => ({ ...prev, [field]: true }));
   }, []);
 
+  // Calculator link and PDF plan for a valid spec, as a bot message
+  const showDeckLinks = useCallback(
+    (spec) => {
+      const url = calculatorUrl(spec, config.calculator);
+      // The link is attached directly: extractLinks only picks up Spanmor
+      // hosts, and the calculator may be configured elsewhere
+      typeOutBotMessage(
+        `All set! Open the Spanmor Deck Calculator with your details: [Spanmor Deck Calculator](${url})`,
+        {
+          links: [{ url, label: "Spanmor Deck Calculator" }],
+          actions: [
+            {
+              type: "openLink",
+              label: "Download plan (PDF)",
+              params: { url: deckPlanUrl(spec, sessionId) },
+            },
+          ],
+        }
+      );
+    },
+    [config.calculator, sessionId, typeOutBotMessage]
+  );
+
   const submitDeckForm = useCallback(
     (e) => {
       e.preventDefault();
-      setDeckTouched({
-        length: true,
-        width: true,
-        minHeight: true,
-        maxHeight: true,
-        deckConfig: true,
-        joistConfig: true,
-      });
-      const { errors, parsed } = validateDeckForm(deckForm);
+      const touched = Object.fromEntries(DECK_FORM_FIELDS.map((field) => [field, true]));
+      for (const section of deckForm.sections) {
+        for (const field of ["length", "width", "minHeight", "maxHeight", "attachTo", "side"]) {
+          touched[`${section.id}.${field}`] = true;
+        }
+      }
+      setDeckTouched(touched);
+      const { errors, spec } = validateDeckForm(deckForm);
       setDeckErrors(errors);
       if (Object.keys(errors).length > 0) return;
 
-      const url =
-        "https://calculator.spanmor.com.au/" +
-        `?length_mm=${parsed.length}` +
-        `&width_mm=${parsed.width}` +
-        `&min_height_mm=${parsed.minHeight}` +
-        `&max_height_mm=${parsed.maxHeight}` +
-        `&deckconfig=${deckForm.deckConfig}` +
-        `&joistconfig=${deckForm.joistConfig}`;
-
-      typeOutBotMessage(
-        `All set! Open the Spanmor Deck Calculator with your details: [Spanmor Deck Calculator](${url})`
-      );
+      lastDeckRef.current = spec;
+      showDeckLinks(spec);
+      if (config.drafts.enabled) {
+        setSavedDecks((prev) => withSavedSpec(prev, spec, { id: editingDeckId }));
+      }
+      setEditingDeckId(null);
       setDeckFormOpen(false);
-      setDeckForm({
-        length: "",
-        width: "",
-        minHeight: "",
-        maxHeight: "",
-        deckConfig: "",
-        joistConfig: "",
-      });
+      setDeckForm({ ...EMPTY_DECK_FORM });
+      setDeckPrefillNote("");
       setDeckTouched({
         length: false,
         width: false,
@@ -777,9 +1099,41 @@ export default function Chatbot({ config: userConfig }) {
         joistConfig: false,
       });
     },
-    [deckForm, typeOutBotMessage, validateDeckForm]
+    [config.drafts, deckForm, editingDeckId, showDeckLinks]
+  );
+
+  // Saved specs: "Open" shows the links again; "Edit" and "Copy" load the
+  // spec into the form, to update it or save it as a new one
+  const reopenSavedDeck = useCallback(
+    (entry) => {
+      lastDeckRef.current = entry.spec;
+      showDeckLinks(entry.spec);
+      setDeckFormOpen(false);
+    },
+    [showDeckLinks]
   );
 
+  const loadSavedDeck = useCallback((entry, { copy = false } = {}) => {
+    setDeckForm(deckFormFromSpec(entry.spec));
+    setEditingDeckId(copy ? null : entry.id);
+    setDeckTouched(Object.fromEntries(DECK_FORM_FIELDS.map((field) => [field, false])));
+    setDeckPrefillNote(
+      copy
+        ? "Copied a saved deck. Submitting saves it as a new one."
+        : "Editing a saved deck. Submitting updates it."
+    );
+  }, []);
+
+  const forgetDeckData = useCallback(() => {
+    if (!window.confirm("Forget the deck details saved in this browser?")) return;
+    forgetDeckStore(deckStoreSite(config.drafts));
+    setSavedDecks([]);
+    setEditingDeckId(null);
+    setDeckForm({ ...EMPTY_DECK_FORM });
+    setDeckTouched(Object.fromEntries(DECK_FORM_FIELDS.map((field) => [field, false])));
+    setDeckPrefillNote("");
+  }, [config.drafts]);
+
   const submitContactForm = useCallback(
     async (e) => {
       e.preventDefault();
@@ -792,33 +1146,126 @@ export default function Chatbot({ config: userConfig }) {
         email: true,
         message: true,
       });
-      const errors = validateContactForm(contactForm);
-      if (Object.keys(errors).length > 0) {
+      const errors = validateContactFields(contactForm);
+      const slotProblem = callbackMode
+        ? callbackChoiceProblem(callbackSlot, callbackSlots.slots)
+        : "";
+      setCallbackError(slotProblem);
+      if (Object.keys(errors).length > 0 || slotProblem) {
         setContactErrors(errors);
         setContactSending(false);
         return;
       }
 
+      // Deck values being entered win over the last spec sent
+      let context = null;
+      if (config.contact?.includeContext !== false) {
+        const deck = isDeckFormEmpty(deckForm)
+          ? lastDeckRef.current
+          : validateDeckForm(deckForm).spec;
+        context = buildContactContext({ messages, deck });
+      }
+
       try {
-        const res = await fetch("/api/contact", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            name: contactForm.name.trim(),
-            phone: contactForm.phone.trim(),
-            email: contactForm.email.trim(),
-            message: contactForm.message.trim(),
-            sessionId,
-          }),
+        const getChallengeToken = config.contact?.getChallengeToken;
+        const challengeToken =
+          typeof getChallengeToken === "function" ? await getChallengeToken() : "";
+        const payload = JSON.stringify({
+          ...normalizeContactFields(contactForm),
+          sessionId,
+          website: honeypotRef.current?.value || "",
+          elapsedMs: Date.now() - contactOpenedAtRef.current,
+          ...(challengeToken ? { challengeToken: String(challengeToken) } : {}),
+          ...(context ? { context } : {}),
+          ...(callbackMode ? { callback: { start: callbackSlot } } : {}),
         });
+        // Attachments go as multipart with the JSON in `payload`
+        let request;
+        if (contactFiles.length > 0) {
+          const body = new FormData();
+          body.append("payload", payload);
+          contactFiles.forEach(({ file }) => body.append("attachments", file, file.name));
+          request = { method: "POST", body };
+        } else {
+          request = {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: payload,
+          };
+        }
+        const res = await fetch("/api/contact", request);
+        if (res.status === 429) {
+          setContactStatus({
+            type: "error",
+            message: slowDownMessage(res, "We've received several requests from you already."),
+          });
+          return;
+        }
         if (!res.ok) {
-          throw new Error("Request failed");
+          let data = null;
+          try {
+            data = await res.json();
+          } catch (_) {
+            data = null;
+          }
+          if (data?.code === "duplicate_submission") {
+            setContactStatus({
+              type: "success",
+              message: "We've already received this request. We will be in touch shortly.",
+            });
+            return;
+          }
+          if (contactRejectionText[data?.code]) {
+            setContactStatus({ type: "error", message: contactRejectionText[data.code] });
+            return;
+          }
+          // Field errors from the server land on the matching tooltips
+          if (data?.code === "invalid_request" && data.fields?.attachments) {
+            setAttachmentError(data.fields.attachments);
+            setContactStatus({ type: "error", message: "Please check your attachments." });
+            return;
+          }
+          if (data?.code === "invalid_request" && data.fields?.callback) {
+            setCallbackError(data.fields.callback);
+            setContactStatus({ type: "error", message: "Please check the highlighted fields." });
+            loadCallbackSlots();
+            return;
+          }
+          if (data?.code === "payload_too_large") {
+            setContactStatus({ type: "error", message: "Your attachments are too large to send." });
+            return;
+          }
+          if (data?.code === "invalid_request" && data.fields) {
+            const fieldErrors = Object.fromEntries(
+              Object.entries(data.fields).filter(([field]) => field in contactForm)
+            );
+            if (Object.keys(fieldErrors).length > 0) {
+              setContactErrors(fieldErrors);
+              setContactStatus({ type: "error", message: "Please check the highlighted fields." });
+              return;
+            }
+          }
+          setContactStatus({
+            type: "error",
+            message: upstreamFailureMessage("contact", data?.code),
+          });
+          return;
         }
+        const slot = callbackMode
+          ? callbackSlots.slots.find((s) => s.start === callbackSlot)
+          : null;
         setContactStatus({
           type: "success",
-          message: "Thanks! We will be in touch shortly.",
+          message: slot
+            ? `Thanks! We will call you ${slot.label}.`
+            : "Thanks! We will be in touch shortly.",
         });
+        setCallbackMode(false);
+        setCallbackSlot("");
         setContactForm({ name: "", phone: "", email: "", message: "" });
+        contactFiles.forEach((f) => f.previewUrl && URL.revokeObjectURL(f.previewUrl));
+        setContactFiles([]);
+        setAttachmentError("");
         setContactTouched({
           name: false,
           phone: false,
@@ -828,13 +1275,25 @@ export default function Chatbot({ config: userConfig }) {
       } catch (err) {
         setContactStatus({
           type: "error",
-          message: "Sorry, something went wrong. Please try again.",
+          message: upstreamFailureMessage("contact"),
         });
       } finally {
         setContactSending(false);
       }
     },
-    [contactForm, contactSending, sessionId, validateContactForm]
+    [
+      callbackMode,
+      callbackSlot,
+      callbackSlots.slots,
+      config.contact,
+      contactFiles,
+      contactForm,
+      contactSending,
+      deckForm,
+      loadCallbackSlots,
+      messages,
+      sessionId,
+    ]
   );
 
   const handleOpenDeckForm = useCallback(() => {
@@ -847,6 +1306,112 @@ export default function Chatbot({ config: userConfig }) {
     }
   }, [deckPrompted, openDeckForm, typeOutBotMessage]);
 
+  // Post a message to /api/chat and render the reply: streamed token by token
+  // when the upstream streams, otherwise typed out from the JSON { output }.
+  const requestBotReply = useCallback(
+    async (message) => {
+      setSending(true);
+
+      const payload = {
+        action: "sendMessage",
+        sessionId,
+        route: config.webhook.route,
+        chatInput: message,
+        metadata: { userId: "" },
+      };
+
+      try {
+        const res = await fetch("/api/chat", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: config.webhook.stream
+              ? `${NDJSON_CONTENT_TYPE}, application/json`
+              : "application/json",
+          },
+          body: JSON.stringify(payload),
+        });
+        if (res.status === 429) {
+          setSending(false);
+          addMessage(
+            "bot",
+            slowDownMessage(res, "You're sending messages a little too quickly.")
+          );
+          return;
+        }
+        if (res.status === 400 || res.status === 413) {
+          let data = null;
+          try {
+            data = await res.json();
+          } catch (_) {
+            data = null;
+          }
+          const reason = requestErrorMessage(data);
+          setSending(false);
+          addMessage(
+            "bot",
+            reason
+              ? `Sorry, I couldn't send that message. ${reason}`
+              : "Sorry, I couldn't send that message."
+          );
+          return;
+        }
+        if (res.status >= 500) {
+          let data = null;
+          try {
+            data = await res.json();
+          } catch (_) {
+            data = null;
+          }
+          setSending(false);
+          const text = upstreamFailureMessage("chat", data?.code);
+          if (data?.code === "circuit_open") {
+            typeOutBotMessage(text, {
+              actions: [{ type: "openContactForm", label: "Contact us" }],
+            });
+          } else {
+            addMessage("bot", text);
+          }
+          return;
+        }
+        const contentType = res.headers.get("content-type") || "";
+        if (res.ok && res.body && contentType.includes(NDJSON_CONTENT_TYPE)) {
+          const streamed = await streamBotMessage(res.body);
+          setSending(false);
+          if (!streamed.text) {
+            if (streamed.error) addMessage("bot", upstreamFailureMessage("chat"));
+            else typeOutBotMessage("Hi! I'm here to help you.");
+          }
+          return;
+        }
+        let data = null;
+        try {
+          data = await res.json();
+        } catch (_) {
+          data = null;
+        }
+        // Classic { output } and structured replies alike
+        const reply = normalizeBotResponse(data);
+        // Hide the loading indicator and start typing the reply
+        setSending(false);
+        typeOutBotReply(reply);
+      } catch (e) {
+        setSending(false);
+        setStreamingMessageId(null);
+        addMessage("bot", upstreamFailureMessage("chat"));
+      }
+    },
+    [
+      addMessage,
+      config.webhook.route,
+      config.webhook.stream,
+      sessionId,
+      streamBotMessage,
+      typeOutBotMessage,
+      typeOutBotReply,
+    ]
+  );
+
   const sendMessage = useCallback(async () => {
     const display = String(input ?? "").trim();
     const message = normalizeInput(input);
@@ -857,53 +1422,29 @@ export default function Chatbot({ config: userConfig }) {
     playSound("send");
     setInput("");
 
+    // Deck details are kept for the deck form; only a quote request skips the
+    // bot, so questions like "do you sell 90 x 45 joists?" still get answered
+    const details = extractDeckDetails(display);
+    if (details.recognized.length > 0) deckPrefillRef.current = details;
+
     if (isDeckQuoteIntent(message)) {
       typeOutBotMessage(
-        "Tap Start deck quote to open the deck details form.",
+        details.recognized.length > 0
+          ? `I picked up ${details.recognized.join(", ")}. Tap Start deck quote to check these in the deck details form and fill in the rest.`
+          : "Tap Start deck quote to open the deck details form.",
         { actions: [{ type: "openDeckForm", label: "Start deck quote" }] }
       );
       return;
     }
 
-    setSending(true);
-
-    const payload = {
-      action: "sendMessage",
-      sessionId,
-      route: config.webhook.route,
-      chatInput: message,
-      metadata: { userId: "" },
-    };
-
-    try {
-      const res = await fetch("/api/chat", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      let data = null;
-      try {
-        data = await res.json();
-      } catch (_) {
-        data = null;
-      }
-      const botReply = Array.isArray(data) ? data?.[0]?.output : data?.output;
-      const { cleaned, actions } = extractActionsFromText(botReply);
-      // Hide the loading indicator and start typing the reply
-      setSending(false);
-      typeOutBotMessage(cleaned || "Hi! I'm here to help you.", { actions });
-    } catch (e) {
-      setSending(false);
-      addMessage("bot", "Sorry, there was a problem sending your message.");
-    } finally {
-      // no-op: sending already handled above
-    }
+    await requestBotReply(message);
   }, [
     addMessage,
-    config.webhook.route,
-    extractActionsFromText,
     input,
     isDeckQuoteIntent,
+    normalizeInput,
+    playSound,
+    requestBotReply,
     sending,
     sessionId,
     typeOutBotMessage,
@@ -920,52 +1461,38 @@ export default function Chatbot({ config: userConfig }) {
       // Show the display text in UI
       addMessage("user", display);
       playSound("send");
-      setSending(true);
-
-      const payload = {
-        action: "sendMessage",
-        sessionId,
-        route: config.webhook.route,
-        chatInput: message,
-        metadata: { userId: "" },
-      };
-
-      try {
-        const res = await fetch("/api/chat", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        });
-        let data = null;
-        try {
-          data = await res.json();
-        } catch (_) {
-          data = null;
-        }
-        const botReply = Array.isArray(data) ? data?.[0]?.output : data?.output;
-        const { cleaned, actions } = extractActionsFromText(botReply);
-        setSending(false);
-        typeOutBotMessage(cleaned || "Hi! I'm here to help you.", { actions });
-      } catch (e) {
-        setSending(false);
-        addMessage("bot", "Sorry, there was a problem sending your message.");
-      } finally {
-        // no-op: sending already handled above
-      }
+      await requestBotReply(message);
     },
     [
       addMessage,
-      config.webhook.route,
-      extractActionsFromText,
       normalizeInput,
+      requestBotReply,
       sending,
       sessionId,
-      typeOutBotMessage,
       playSound,
       unlockAudio,
     ]
   );
 
+  const handleMessageAction = useCallback(
+    (action) => {
+      if (!action) return;
+      if (action.type === "openDeckForm") {
+        openDeckForm();
+      }
+      if (action.type === "openContactForm") {
+        openContactForm();
+      }
+      if (action.type === "openLink" && action.params?.url) {
+        window.open(action.params.url, "_blank", "noopener,noreferrer");
+      }
+      if (action.type === "sendMessage" && action.params?.text) {
+        sendQuickMessage(action.label || action.params.text, action.params.text);
+      }
+    },
+    [openContactForm, openDeckForm, sendQuickMessage]
+  );
+
   if (!mounted) return null;
 
   return (
@@ -1097,12 +1624,78 @@ export default function Chatbot({ config: userConfig }) {
             </div>
             <div className="chat-messages" ref={messagesRef}>
               {messages.map((m, i) => {
-                const isTypingMsg = Boolean(typingTimerRef.current) && m.id === typingMessageIdRef.current;
+                const isTypingMsg =
+                  (Boolean(typingTimerRef.current) && m.id === typingMessageIdRef.current) ||
+                  m.id === streamingMessageId;
                 const isLastBot = i === messages.length - 1 && m.role === "bot";
 
                 // Build CTA(s) attached to this message (after typing completes)
                 let cta = null;
                 let actionCta = null;
+                let cards = null;
+                let quickReplies = null;
+
+                if (
+                  m.role === "bot" &&
+                  Array.isArray(m.cards) &&
+                  m.cards.length > 0 &&
+                  !isTypingMsg
+                ) {
+                  cards = (
+                    <div className="message-cards">
+                      {m.cards.map((card, idx) => (
+                        <div key={`card-${m.id || i}-${idx}`} className="product-card">
+                          {card.image ? (
+                            <img className="product-card-image" src={card.image} alt="" />
+                          ) : null}
+                          <div className="product-card-body">
+                            <span className="product-card-title">{card.title}</span>
+                            {card.price ? (
+                              <span className="product-card-price">{card.price}</span>
+                            ) : null}
+                            {card.description ? (
+                              <span className="product-card-description">{card.description}</span>
+                            ) : null}
+                            {card.url ? (
+                              <button
+                                type="button"
+                                className="link-action"
+                                onClick={() => window.open(card.url, "_blank", "noopener,noreferrer")}
+                                title={card.url}
+                              >
+                                {card.ctaLabel || "View"}
+                              </button>
+                            ) : null}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                }
+
+                // Suggested replies only make sense on the latest bot message
+                if (
+                  isLastBot &&
+                  Array.isArray(m.quickReplies) &&
+                  m.quickReplies.length > 0 &&
+                  !isTypingMsg &&
+                  !sending
+                ) {
+                  quickReplies = (
+                    <div className="quick-replies message-quick-replies">
+                      {m.quickReplies.map((reply, idx) => (
+                        <button
+                          key={`reply-${m.id || i}-${idx}`}
+                          type="button"
+                          className="quick-reply"
+                          onClick={() => sendQuickMessage(reply.label, reply.text)}
+                        >
+                          {reply.label}
+                        </button>
+                      ))}
+                    </div>
+                  );
+                }
 
                 if (
                   m.role === "bot" &&
@@ -1195,9 +1788,16 @@ export default function Chatbot({ config: userConfig }) {
                       {isTypingMsg
                         ? sanitizeTypingDisplay(m.text)
                         : renderMessageWithLinks(m.text, { isTyping: false })}
+                      {m.interrupted ? (
+                        <span className="message-interrupted">
+                          This reply was cut off. Please try again.
+                        </span>
+                      ) : null}
                     </div>
+                    {cards}
                     {actionCta}
                     {cta}
+                    {quickReplies}
                   </React.Fragment>
                 );
               })}
@@ -1219,6 +1819,7 @@ export default function Chatbot({ config: userConfig }) {
             <textarea
               placeholder="Type your message here..."
               rows={1}
+              maxLength={CHAT_LIMITS.maxInputLength}
               value={input}
               onChange={(e) => setInput(e.target.value)}
               onFocus={() => setHasFocus(true)}
@@ -1275,6 +1876,37 @@ export default function Chatbot({ config: userConfig }) {
               </button>
             </div>
             <form className="deck-form" onSubmit={submitDeckForm} noValidate>
+              {savedDecks.length > 0 ? (
+                <details className="deck-saved">
+                  <summary>Your saved decks ({savedDecks.length})</summary>
+                  <ul>
+                    {savedDecks.map((entry) => (
+                      <li key={entry.id} className={entry.id === editingDeckId ? "editing" : ""}>
+                        <span className="deck-saved-name">
+                          {savedDeckLabel(entry.spec)}
+                          <small>
+                            {new Date(entry.savedAt).toLocaleDateString("en-AU", {
+                              day: "numeric",
+                              month: "short",
+                            })}
+                          </small>
+                        </span>
+                        <button type="button" onClick={() => reopenSavedDeck(entry)}>
+                          Open
+                        </button>
+                        <button type="button" onClick={() => loadSavedDeck(entry)}>
+                          Edit
+                        </button>
+                        <button type="button" onClick={() => loadSavedDeck(entry, { copy: true })}>
+                          Copy
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              ) : null}
+              {deckPrefillNote ? <p className="contact-note">{deckPrefillNote}</p> : null}
+              <DeckPreview form={deckForm} errors={deckPreviewErrors} />
               <label>
                 Length
                 <input
@@ -1288,8 +1920,8 @@ export default function Chatbot({ config: userConfig }) {
                   }
                   aria-required="true"
                 />
-                {deckParsed.length ? (
-                  <span className="deck-help">Converted: {deckParsed.length} mm</span>
+                {deckPreview.length ? (
+                  <span className="deck-help">Converted: {deckPreview.length}</span>
                 ) : null}
                 {deckTouched.length && deckErrors.length ? (
                   <span className="contact-tooltip" role="alert">
@@ -1310,8 +1942,8 @@ export default function Chatbot({ config: userConfig }) {
                   }
                   aria-required="true"
                 />
-                {deckParsed.width ? (
-                  <span className="deck-help">Converted: {deckParsed.width} mm</span>
+                {deckPreview.width ? (
+                  <span className="deck-help">Converted: {deckPreview.width}</span>
                 ) : null}
                 {deckTouched.width && deckErrors.width ? (
                   <span className="contact-tooltip" role="alert">
@@ -1332,9 +1964,9 @@ export default function Chatbot({ config: userConfig }) {
                   }
                   aria-required="true"
                 />
-                {deckParsed.minHeight ? (
+                {deckPreview.minHeight ? (
                   <span className="deck-help">
-                    Converted: {deckParsed.minHeight} mm
+                    Converted: {deckPreview.minHeight}
                   </span>
                 ) : null}
                 {deckTouched.minHeight && deckErrors.minHeight ? (
@@ -1356,9 +1988,9 @@ export default function Chatbot({ config: userConfig }) {
                   }
                   aria-required="true"
                 />
-                {deckParsed.maxHeight ? (
+                {deckPreview.maxHeight ? (
                   <span className="deck-help">
-                    Converted: {deckParsed.maxHeight} mm
+                    Converted: {deckPreview.maxHeight}
                   </span>
                 ) : null}
                 {deckTouched.maxHeight && deckErrors.maxHeight ? (
@@ -1379,12 +2011,11 @@ export default function Chatbot({ config: userConfig }) {
                   aria-required="true"
                 >
                   <option value="">Select an option</option>
-                  <option value="freeStanding">
-                    Free standing (independent from wall structures)
-                  </option>
-                  <option value="wallMounted">
-                    Wall mounted (attached to an existing wall)
-                  </option>
+                  {Object.entries(DECK_CONFIGS).map(([value, { label, description }]) => (
+                    <option key={value} value={value}>
+                      {label} ({description})
+                    </option>
+                  ))}
                 </select>
                 {deckTouched.deckConfig && deckErrors.deckConfig ? (
                   <span className="contact-tooltip" role="alert">
@@ -1404,12 +2035,11 @@ export default function Chatbot({ config: userConfig }) {
                   aria-required="true"
                 >
                   <option value="">Select an option</option>
-                  <option value="flushfinish">
-                    Flush finish (joists aligned with bearer top)
-                  </option>
-                  <option value="overthetop">
-                    Over the top (joists mounted over the bearers)
-                  </option>
+                  {Object.entries(JOIST_CONFIGS).map(([value, { label, description }]) => (
+                    <option key={value} value={value}>
+                      {label} ({description})
+                    </option>
+                  ))}
                 </select>
                 {deckTouched.joistConfig && deckErrors.joistConfig ? (
                   <span className="contact-tooltip" role="alert">
@@ -1417,7 +2047,141 @@ export default function Chatbot({ config: userConfig }) {
                   </span>
                 ) : null}
               </label>
-              <button type="submit">Get the quote</button>
+              {deckForm.sections.map((section, i) => {
+                const name = sectionName(i + 1);
+                const prefix = `sections.${i}.`;
+                const shown = (field) =>
+                  deckTouched[`${section.id}.${field}`] ? deckErrors[prefix + field] : "";
+                return (
+                  <fieldset key={section.id} className="deck-section">
+                    <legend>Section {name}</legend>
+                    <button
+                      type="button"
+                      className="deck-section-remove"
+                      onClick={() => removeDeckSection(section.id)}
+                      aria-label={`Remove section ${name}`}
+                    >
+                      ✕
+                    </button>
+                    <div className="deck-section-grid">
+                      {[
+                        ["length", "Length", "e.g. 4m"],
+                        ["width", "Width", "e.g. 2.4m"],
+                        ["minHeight", "Min height", "e.g. 300mm"],
+                        ["maxHeight", "Max height", "e.g. 600mm"],
+                      ].map(([field, label, placeholder]) => {
+                        const converted = dimensionPreview(section[field]);
+                        return (
+                          <label key={field}>
+                            {label}
+                            <input
+                              type="text"
+                              placeholder={placeholder}
+                              value={section[field]}
+                              onChange={(e) => updateDeckSection(section.id, field, e.target.value)}
+                              onBlur={() => markDeckTouched(`${section.id}.${field}`)}
+                              className={shown(field) ? "field-error" : ""}
+                              aria-required="true"
+                            />
+                            {converted ? <span className="deck-help">Converted: {converted}</span> : null}
+                            {shown(field) ? (
+                              <span className="contact-tooltip" role="alert">
+                                {shown(field)}
+                              </span>
+                            ) : null}
+                          </label>
+                        );
+                      })}
+                      <label>
+                        Attached to
+                        <select
+                          value={section.attachTo}
+                          onChange={(e) => updateDeckSection(section.id, "attachTo", e.target.value)}
+                          onBlur={() => markDeckTouched(`${section.id}.attachTo`)}
+                          className={shown("attachTo") ? "field-error" : ""}
+                        >
+                          <option value="main">Section A</option>
+                          {deckForm.sections.slice(0, i).map((earlier, j) => (
+                            <option key={earlier.id} value={earlier.id}>
+                              Section {sectionName(j + 1)}
+                            </option>
+                          ))}
+                        </select>
+                        {shown("attachTo") ? (
+                          <span className="contact-tooltip" role="alert">
+                            {shown("attachTo")}
+                          </span>
+                        ) : null}
+                      </label>
+                      <label>
+                        Side
+                        <select
+                          value={section.side}
+                          onChange={(e) => updateDeckSection(section.id, "side", e.target.value)}
+                          onBlur={() => markDeckTouched(`${section.id}.side`)}
+                          className={shown("side") ? "field-error" : ""}
+                        >
+                          {Object.entries(DECK_SIDES).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                        {shown("side") ? (
+                          <span className="contact-tooltip" role="alert">
+                            {shown("side")}
+                          </span>
+                        ) : null}
+                      </label>
+                    </div>
+                  </fieldset>
+                );
+              })}
+              {deckErrors.sections ? (
+                <span className="contact-tooltip" role="alert">
+                  {deckErrors.sections}
+                </span>
+              ) : null}
+              {deckForm.sections.length < DECK_LIMITS.maxSections - 1 ? (
+                <button type="button" className="deck-section-add" onClick={addDeckSection}>
+                  + Add a section (L-shaped or stepped deck)
+                </button>
+              ) : null}
+              {deckEstimate ? (
+                <div className="deck-estimate" aria-live="polite">
+                  <h4>Estimate</h4>
+                  <ul>
+                    {deckEstimate.materials.map((item) => (
+                      <li key={item.key}>
+                        <span>{item.label}</span>
+                        <span>
+                          {item.quantity} {item.unit}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="deck-estimate-spans">
+                    {deckEstimate.areaM2} m² · joist span {deckEstimate.spans.joistMm} mm ·
+                    bearer span {deckEstimate.spans.bearerMm} mm
+                  </p>
+                  <p className="deck-estimate-price">
+                    {formatPriceBand(deckEstimate.price)}
+                  </p>
+                  <p className="contact-note">
+                    Indicative estimate for the subframe only, ex GST. The Deck Calculator gives
+                    the engineered design and quote.
+                  </p>
+                </div>
+              ) : null}
+              <button type="submit">{editingDeckId ? "Update the quote" : "Get the quote"}</button>
+              {config.drafts.enabled ? (
+                <p className="contact-note deck-privacy">
+                  Deck details you enter are kept in this browser only.{" "}
+                  <button type="button" className="deck-forget" onClick={forgetDeckData}>
+                    Forget my data
+                  </button>
+                </p>
+              ) : null}
               <div className="contact-spacer" aria-hidden="true" />
             </form>
           </div>
@@ -1429,11 +2193,24 @@ export default function Chatbot({ config: userConfig }) {
               </button>
             </div>
             <form className="contact-form" onSubmit={submitContactForm} noValidate>
+              {/* Honeypot: hidden from people, filled in by form-filling bots */}
+              <label className="contact-hp" aria-hidden="true">
+                Website
+                <input
+                  ref={honeypotRef}
+                  type="text"
+                  name="website"
+                  tabIndex={-1}
+                  autoComplete="off"
+                  defaultValue=""
+                />
+              </label>
               <label>
                 Name
                 <input
                   type="text"
                   value={contactForm.name}
+                  maxLength={CONTACT_LIMITS.name}
                   onChange={(e) => updateContactField("name", e.target.value)}
                   onBlur={() => markContactTouched("name")}
                   className={
@@ -1452,6 +2229,7 @@ export default function Chatbot({ config: userConfig }) {
                 <input
                   type="tel"
                   value={contactForm.phone}
+                  maxLength={CONTACT_LIMITS.phone}
                   onChange={(e) => updateContactField("phone", e.target.value)}
                   onBlur={() => markContactTouched("phone")}
                   className={
@@ -1465,11 +2243,61 @@ export default function Chatbot({ config: userConfig }) {
                   </span>
                 ) : null}
               </label>
+              <label className="contact-toggle">
+                <input
+                  type="checkbox"
+                  checked={callbackMode}
+                  onChange={(e) => toggleCallbackMode(e.target.checked)}
+                />
+                Request a callback instead of an email reply
+              </label>
+              {callbackMode ? (
+                <label>
+                  Preferred time to call
+                  <select
+                    value={callbackSlot}
+                    onChange={(e) => selectCallbackSlot(e.target.value)}
+                    className={callbackError ? "field-error" : ""}
+                    disabled={callbackSlots.status !== "ready" || callbackSlots.slots.length === 0}
+                    aria-required="true"
+                  >
+                    <option value="">
+                      {callbackSlots.status === "loading"
+                        ? "Loading times..."
+                        : callbackSlots.status === "error"
+                          ? "Times unavailable, please try again"
+                          : callbackSlots.slots.length === 0
+                            ? "No times available"
+                            : "Select a time"}
+                    </option>
+                    {callbackSlots.slots
+                      .map((slot) => slot.day)
+                      .filter((day, i, days) => days.indexOf(day) === i)
+                      .map((day) => (
+                        <optgroup key={day} label={day}>
+                          {callbackSlots.slots
+                            .filter((slot) => slot.day === day)
+                            .map((slot) => (
+                              <option key={slot.start} value={slot.start}>
+                                {slot.time}
+                              </option>
+                            ))}
+                        </optgroup>
+                      ))}
+                  </select>
+                  {callbackError ? (
+                    <span className="contact-tooltip" role="alert">
+                      {callbackError}
+                    </span>
+                  ) : null}
+                </label>
+              ) : null}
               <label>
                 Email
                 <input
                   type="email"
                   value={contactForm.email}
+                  maxLength={CONTACT_LIMITS.email}
                   onChange={(e) => updateContactField("email", e.target.value)}
                   onBlur={() => markContactTouched("email")}
                   className={
@@ -1488,6 +2316,7 @@ export default function Chatbot({ config: userConfig }) {
                 <textarea
                   rows={4}
                   value={contactForm.message}
+                  maxLength={CONTACT_LIMITS.message}
                   onChange={(e) => updateContactField("message", e.target.value)}
                   onBlur={() => markContactTouched("message")}
                   className={
@@ -1501,6 +2330,60 @@ export default function Chatbot({ config: userConfig }) {
                   </span>
                 ) : null}
               </label>
+              <div className="contact-attachments">
+                <span>Photos or plans (optional)</span>
+                <label className="attachment-picker">
+                  Add files
+                  <input
+                    type="file"
+                    multiple
+                    accept={ATTACHMENT_ACCEPT}
+                    onChange={addAttachments}
+                    disabled={contactFiles.length >= ATTACHMENT_LIMITS.maxFiles}
+                  />
+                </label>
+                <span className="attachment-hint">
+                  Images or PDFs, up to {ATTACHMENT_LIMITS.maxFiles} files of{" "}
+                  {formatBytes(ATTACHMENT_LIMITS.maxFileBytes)} each
+                </span>
+                {attachmentError ? (
+                  <span className="contact-tooltip" role="alert">
+                    {attachmentError}
+                  </span>
+                ) : null}
+                {contactFiles.length > 0 ? (
+                  <ul className="attachment-list">
+                    {contactFiles.map(({ id, file, previewUrl }) => (
+                      <li key={id} className="attachment-item">
+                        {previewUrl ? (
+                          <img src={previewUrl} alt="" className="attachment-thumb" />
+                        ) : (
+                          <span className="attachment-thumb attachment-badge" aria-hidden="true">
+                            {attachmentType(file) === "application/pdf" ? "PDF" : "IMG"}
+                          </span>
+                        )}
+                        <span className="attachment-name">
+                          {file.name}
+                          <small>{formatBytes(file.size)}</small>
+                        </span>
+                        <button
+                          type="button"
+                          className="attachment-remove"
+                          onClick={() => removeAttachment(id)}
+                          aria-label={`Remove ${file.name}`}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                ) : null}
+              </div>
+              {config.contact?.includeContext !== false ? (
+                <p className="contact-note">
+                  Your chat so far and any deck details you entered will be included.
+                </p>
+              ) : null}
               {contactStatus.message ? (
                 <div className={`contact-status ${contactStatus.type}`}>
                   {contactStatus.message}
@@ -1933,6 +2816,15 @@ export default function Chatbot({ config: userConfig }) {
         .n8n-chat-widget .chat-toggle:hover { transform: scale(1.05); }
         .n8n-chat-widget .chat-toggle svg { width: 24px; height: 24px; fill: currentColor; }
 
+        /* Note under a streamed reply that broke off */
+        .n8n-chat-widget .message-interrupted {
+          display: block;
+          margin-top: 6px;
+          font-size: 12px;
+          font-style: italic;
+          opacity: 0.7;
+        }
+
         /* Message CTA buttons for links */
         .n8n-chat-widget .message-actions {
           padding: 0 16px 12px 16px;
@@ -1957,6 +2849,66 @@ export default function Chatbot({ config: userConfig }) {
           filter: brightness(1.05);
         }
 
+        /* Product cards from structured replies */
+        .n8n-chat-widget .message-cards {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          padding: 0 0 12px;
+          max-width: 80%;
+        }
+
+        .n8n-chat-widget .product-card {
+          display: flex;
+          gap: 10px;
+          border: 1px solid rgba(133, 79, 255, 0.2);
+          border-radius: 12px;
+          padding: 10px;
+          background: var(--chat--color-background);
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+        }
+
+        .n8n-chat-widget .product-card-image {
+          width: 64px;
+          height: 64px;
+          object-fit: cover;
+          border-radius: 8px;
+          flex: 0 0 auto;
+        }
+
+        .n8n-chat-widget .product-card-body {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 0;
+          font-size: 13px;
+          color: var(--chat--color-font);
+        }
+
+        .n8n-chat-widget .product-card-title {
+          font-weight: 600;
+        }
+
+        .n8n-chat-widget .product-card-price {
+          color: var(--chat--color-primary);
+          font-weight: 600;
+        }
+
+        .n8n-chat-widget .product-card-description {
+          opacity: 0.8;
+          line-height: 1.4;
+        }
+
+        .n8n-chat-widget .product-card .link-action {
+          align-self: flex-start;
+          margin-top: 4px;
+        }
+
+        .n8n-chat-widget .message-quick-replies {
+          padding: 0 0 12px;
+          background: transparent;
+        }
+
         .n8n-chat-widget .contact-panel {
           position: absolute;
           top: 0;
@@ -2037,6 +2989,14 @@ export default function Chatbot({ config: userConfig }) {
           min-height: 0;
         }
 
+        .n8n-chat-widget .contact-form .contact-hp {
+          position: absolute;
+          left: -10000px;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+        }
+
         .n8n-chat-widget .contact-form label,
         .n8n-chat-widget .deck-form label {
           display: flex;
@@ -2135,6 +3095,260 @@ export default function Chatbot({ config: userConfig }) {
           flex: 0 0 auto;
         }
 
+        .n8n-chat-widget .contact-form select {
+          padding: 12px;
+          border: 1px solid rgba(133, 79, 255, 0.2);
+          border-radius: 8px;
+          background: var(--chat--color-background);
+          color: var(--chat--color-font);
+          font-family: inherit;
+          font-size: 14px;
+        }
+
+        .n8n-chat-widget .contact-form .contact-toggle {
+          flex-direction: row;
+          align-items: center;
+          gap: 8px;
+          cursor: pointer;
+        }
+
+        .n8n-chat-widget .contact-form .contact-toggle input {
+          width: auto;
+          padding: 0;
+          margin: 0;
+        }
+
+        .n8n-chat-widget .contact-attachments {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          font-size: 12px;
+          color: var(--chat--color-font);
+        }
+
+        .n8n-chat-widget .contact-form .attachment-picker {
+          display: inline-flex;
+          align-self: flex-start;
+          padding: 6px 12px;
+          border: 1px dashed var(--chat--color-primary);
+          border-radius: 8px;
+          color: var(--chat--color-primary);
+          cursor: pointer;
+          opacity: 1;
+        }
+
+        .n8n-chat-widget .contact-form .attachment-picker input {
+          display: none;
+        }
+
+        .n8n-chat-widget .attachment-hint {
+          font-size: 11px;
+          opacity: 0.6;
+        }
+
+        .n8n-chat-widget .attachment-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .n8n-chat-widget .attachment-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .n8n-chat-widget .attachment-thumb {
+          width: 40px;
+          height: 40px;
+          border-radius: 6px;
+          object-fit: cover;
+          flex-shrink: 0;
+        }
+
+        .n8n-chat-widget .attachment-badge {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(133, 79, 255, 0.1);
+          color: var(--chat--color-primary);
+          font-size: 10px;
+          font-weight: 600;
+        }
+
+        .n8n-chat-widget .attachment-name {
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .n8n-chat-widget .attachment-name small {
+          margin-left: 6px;
+          opacity: 0.6;
+        }
+
+        .n8n-chat-widget .contact-form .attachment-remove {
+          margin: 0;
+          padding: 4px 8px;
+          background: transparent;
+          color: var(--chat--color-font);
+          border-radius: 6px;
+          font-size: 12px;
+        }
+
+        .n8n-chat-widget .deck-section {
+          position: relative;
+          margin: 0;
+          padding: 8px 10px 10px;
+          border: 1px solid rgba(133, 79, 255, 0.2);
+          border-radius: 8px;
+        }
+
+        .n8n-chat-widget .deck-section legend {
+          padding: 0 4px;
+          font-size: 12px;
+          font-weight: 600;
+          color: var(--chat--color-font);
+        }
+
+        .n8n-chat-widget .deck-section-grid {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+        }
+
+        .n8n-chat-widget .deck-form .deck-section-remove {
+          position: absolute;
+          top: -4px;
+          right: 6px;
+          margin: 0;
+          padding: 2px 6px;
+          background: var(--chat--color-background);
+          color: var(--chat--color-font);
+          border-radius: 6px;
+          font-size: 12px;
+        }
+
+        .n8n-chat-widget .deck-form .deck-section-add {
+          margin-top: 0;
+          align-self: flex-start;
+          padding: 6px 12px;
+          background: transparent;
+          border: 1px dashed var(--chat--color-primary);
+          color: var(--chat--color-primary);
+          font-size: 12px;
+        }
+
+        .n8n-chat-widget .deck-estimate {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          padding: 10px 12px;
+          border: 1px dashed rgba(133, 79, 255, 0.4);
+          border-radius: 8px;
+          font-size: 13px;
+          color: var(--chat--color-font);
+        }
+
+        .n8n-chat-widget .deck-estimate h4 {
+          margin: 0;
+          font-size: 13px;
+        }
+
+        .n8n-chat-widget .deck-estimate ul {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .n8n-chat-widget .deck-estimate li {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+        }
+
+        .n8n-chat-widget .deck-estimate-spans {
+          margin: 0;
+          font-size: 12px;
+          opacity: 0.75;
+        }
+
+        .n8n-chat-widget .deck-estimate-price {
+          margin: 0;
+          font-weight: 600;
+        }
+
+        .n8n-chat-widget .contact-note {
+          margin: 0;
+          font-size: 11px;
+          color: var(--chat--color-font);
+          opacity: 0.6;
+        }
+
+        .n8n-chat-widget .deck-saved {
+          font-size: 12px;
+          color: var(--chat--color-font);
+        }
+
+        .n8n-chat-widget .deck-saved summary {
+          cursor: pointer;
+          font-weight: 600;
+        }
+
+        .n8n-chat-widget .deck-saved ul {
+          list-style: none;
+          margin: 6px 0 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .n8n-chat-widget .deck-saved li {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 4px 6px;
+          border-radius: 6px;
+        }
+
+        .n8n-chat-widget .deck-saved li.editing {
+          background: rgba(133, 79, 255, 0.08);
+        }
+
+        .n8n-chat-widget .deck-saved-name {
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .n8n-chat-widget .deck-saved-name small {
+          margin-left: 6px;
+          opacity: 0.6;
+        }
+
+        .n8n-chat-widget .deck-form .deck-saved button,
+        .n8n-chat-widget .deck-form .deck-forget {
+          margin: 0;
+          padding: 2px 6px;
+          background: transparent;
+          color: var(--chat--color-primary);
+          border-radius: 6px;
+          font-size: 11px;
+        }
+
+        .n8n-chat-widget .deck-form .deck-forget {
+          padding: 0;
+          text-decoration: underline;
+        }
+
         .n8n-chat-widget .contact-status {
           font-size: 13px;
           padding: 8px 10px;
@@ -0,0 +1,303 @@
+"use client";
+
+import React from "react";
+import { DECK_CONFIGS, JOIST_CONFIGS, deckSpecFromForm, layoutDeckSections } from "@/lib/deckSpec";
+
+// Live, to-scale sketch of the deck form: a plan view (length across, width
+// down) and a side elevation along the length showing the ground falling
+// from the minimum to the maximum height. Values not entered yet are drawn
+// from placeholders in grey. Parts tied to a field in `errors` turn red.
+// Extra sections appear in the plan next to the one they attach to; the
+// elevation shows section A.
+
+const WIDTH = 300;
+// Left of the sketch; the width label goes to its right
+const PLAN_BOX = { left: 10, width: 200, height: 100 };
+const ELEVATION_MAX = 70;
+const PLACEHOLDER = { lengthMm: 6000, widthMm: 3000, minHeightMm: 400, maxHeightMm: 800 };
+// Drawn thickness of the subframe layers, in px (not to scale)
+const LAYER = 5;
+
+export default function DeckPreview({ form, errors = {} }) {
+  const spec = deckSpecFromForm(form);
+  const value = (key) => spec[key] || PLACEHOLDER[key];
+  const known = (key) => Boolean(spec[key]);
+  const bad = (field) => Boolean(errors[field]);
+  const cls = (field, key, base = "") =>
+    [base, bad(field) ? "preview-error" : "", key && !known(key) ? "preview-missing" : ""]
+      .filter(Boolean)
+      .join(" ") || undefined;
+
+  const length = value("lengthMm");
+  const width = value("widthMm");
+  const minHeight = value("minHeightMm");
+  const maxHeight = value("maxHeightMm");
+  const rects = layoutDeckSections({ ...spec, lengthMm: length, widthMm: width });
+  const minX = Math.min(...rects.map((r) => r.x));
+  const minY = Math.min(...rects.map((r) => r.y));
+  const spanX = Math.max(...rects.map((r) => r.x + r.lengthMm)) - minX;
+  const spanY = Math.max(...rects.map((r) => r.y + r.widthMm)) - minY;
+  // One scale for both views so they stay in proportion
+  const scale = Math.min(
+    PLAN_BOX.width / spanX,
+    PLAN_BOX.height / spanY,
+    ELEVATION_MAX / Math.max(minHeight, maxHeight)
+  );
+
+  const originX = PLAN_BOX.left + (PLAN_BOX.width - spanX * scale) / 2;
+  const planY = 24;
+  const place = (r) => ({
+    x: originX + (r.x - minX) * scale,
+    y: planY + (r.y - minY) * scale,
+    w: r.lengthMm * scale,
+    h: r.widthMm * scale,
+  });
+  // Section A
+  const { x, y: aY, w, h } = place(rects[0]);
+  const planRight = originX + spanX * scale;
+  const planBottom = planY + spanY * scale;
+  const sectionBad = (name) => {
+    const index = name.charCodeAt(0) - 66;
+    return Object.keys(errors).some((key) => key.startsWith(`sections.${index}.`));
+  };
+  // Joists in the plan, roughly at their usual 450 mm centres
+  const joistLines = Math.max(2, Math.round(length / 450));
+  const wallMounted = spec.deckConfig === "wallMounted";
+  const flush = spec.joistConfig === "flushfinish";
+
+  const elevationTop = planBottom + 48;
+  const deckBottom = elevationTop + (flush ? LAYER : LAYER * 2);
+  // Ground under the low end (left) and the high end (right)
+  const groundLeft = deckBottom + minHeight * scale;
+  const groundRight = deckBottom + maxHeight * scale;
+  const height = Math.max(groundLeft, groundRight) + 36;
+
+  return (
+    <figure className="deck-preview">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        role="img"
+        aria-label="Sketch of the deck: plan view and side elevation"
+      >
+        {/* Plan view */}
+        <text x={4} y={12} className="preview-title">
+          Plan
+        </text>
+        <rect
+          x={x}
+          y={aY}
+          width={w}
+          height={h}
+          className={`preview-deck${bad("length") || bad("width") ? " preview-error" : ""}`}
+        />
+        {Array.from({ length: joistLines }, (_, i) => {
+          const jx = x + ((i + 0.5) * w) / joistLines;
+          return <line key={i} x1={jx} y1={aY} x2={jx} y2={aY + h} className="preview-joist" />;
+        })}
+        {rects.slice(1).map((rect) => {
+          const r = place(rect);
+          return (
+            <g key={rect.name}>
+              <rect
+                x={r.x}
+                y={r.y}
+                width={r.w}
+                height={r.h}
+                className={`preview-deck preview-section${sectionBad(rect.name) ? " preview-error" : ""}`}
+              />
+              <text
+                x={r.x + r.w / 2}
+                y={r.y + r.h / 2 + 3}
+                textAnchor="middle"
+                className={`preview-label${sectionBad(rect.name) ? " preview-error" : ""}`}
+              >
+                {r.w > 70 ? `${rect.name} ${rect.lengthMm} × ${rect.widthMm}` : rect.name}
+              </text>
+            </g>
+          );
+        })}
+        {rects.length > 1 ? (
+          <text x={x + 4} y={aY + 11} className="preview-label">
+            A
+          </text>
+        ) : null}
+        {wallMounted ? (
+          <>
+            <line
+              x1={x - 8}
+              y1={aY - 3}
+              x2={x + w + 8}
+              y2={aY - 3}
+              className={cls("deckConfig", null, "preview-wall")}
+            />
+            <text x={x + w / 2} y={aY - 8} textAnchor="middle" className="preview-label">
+              House wall
+            </text>
+          </>
+        ) : null}
+        <text x={x + w / 2} y={planBottom + 14} textAnchor="middle" className={cls("length", "lengthMm", "preview-label")}>
+          Length {known("lengthMm") ? `${spec.lengthMm} mm` : "?"}
+        </text>
+        <text
+          x={planRight + 6}
+          y={aY + h / 2 + 3}
+          className={cls("width", "widthMm", "preview-label")}
+        >
+          Width {known("widthMm") ? `${spec.widthMm} mm` : "?"}
+        </text>
+
+        {/* Side elevation along the length */}
+        <text x={4} y={elevationTop - 20} className="preview-title">
+          {rects.length > 1 ? "Side (A)" : "Side"}
+        </text>
+        {/* The house wall runs behind the deck in this view */}
+        {wallMounted ? (
+          <rect
+            x={x}
+            y={elevationTop - 14}
+            width={w}
+            height={Math.max(groundLeft, groundRight) - elevationTop + 14}
+            className={cls("deckConfig", null, "preview-wall-side")}
+          />
+        ) : null}
+        {flush ? (
+          <rect x={x} y={elevationTop} width={w} height={LAYER} className={cls("joistConfig", null, "preview-frame")} />
+        ) : (
+          <>
+            <rect
+              x={x}
+              y={elevationTop}
+              width={w}
+              height={LAYER}
+              className={cls("joistConfig", null, "preview-frame preview-joists")}
+            />
+            <rect
+              x={x}
+              y={elevationTop + LAYER}
+              width={w}
+              height={LAYER}
+              className={cls("joistConfig", null, "preview-frame")}
+            />
+          </>
+        )}
+        <line x1={x + 2} y1={deckBottom} x2={x + 2} y2={groundLeft} className={cls("minHeight", "minHeightMm", "preview-post")} />
+        <line x1={x + w - 2} y1={deckBottom} x2={x + w - 2} y2={groundRight} className={cls("maxHeight", "maxHeightMm", "preview-post")} />
+        <line x1={x - 14} y1={groundLeft} x2={x + w + 14} y2={groundRight} className="preview-ground" />
+        <text x={x} y={groundLeft + 12} className={cls("minHeight", "minHeightMm", "preview-label")}>
+          Min {known("minHeightMm") ? `${spec.minHeightMm} mm` : "?"}
+        </text>
+        <text
+          x={x + w}
+          y={groundRight + 12}
+          textAnchor="end"
+          className={cls("maxHeight", "maxHeightMm", "preview-label")}
+        >
+          Max {known("maxHeightMm") ? `${spec.maxHeightMm} mm` : "?"}
+        </text>
+        <text x={WIDTH / 2} y={height - 4} textAnchor="middle" className="preview-caption">
+          <tspan className={cls("deckConfig", null)}>
+            {DECK_CONFIGS[spec.deckConfig]?.label || "Deck configuration ?"}
+          </tspan>
+          {" · "}
+          <tspan className={cls("joistConfig", null)}>
+            {JOIST_CONFIGS[spec.joistConfig]
+              ? `${JOIST_CONFIGS[spec.joistConfig].label} joists`
+              : "Joist configuration ?"}
+          </tspan>
+        </text>
+      </svg>
+      <style jsx>{`
+        .deck-preview {
+          margin: 0;
+          padding: 8px;
+          border: 1px solid rgba(133, 79, 255, 0.2);
+          border-radius: 8px;
+          background: var(--chat--color-background, #fff);
+        }
+
+        .deck-preview svg {
+          display: block;
+          width: 100%;
+          height: auto;
+          font-family: inherit;
+        }
+
+        .deck-preview :global(.preview-title) {
+          font-size: 10px;
+          font-weight: 600;
+          fill: var(--chat--color-font, #333);
+        }
+
+        .deck-preview :global(.preview-label),
+        .deck-preview :global(.preview-caption) {
+          font-size: 9px;
+          fill: var(--chat--color-font, #333);
+        }
+
+        .deck-preview :global(.preview-caption) {
+          opacity: 0.7;
+        }
+
+        .deck-preview :global(.preview-deck) {
+          fill: rgba(133, 79, 255, 0.08);
+          stroke: var(--chat--color-primary, #854fff);
+          stroke-width: 1.5;
+        }
+
+        .deck-preview :global(.preview-section) {
+          fill: rgba(133, 79, 255, 0.14);
+        }
+
+        .deck-preview :global(.preview-joist) {
+          stroke: rgba(133, 79, 255, 0.25);
+          stroke-width: 0.75;
+        }
+
+        .deck-preview :global(.preview-wall) {
+          stroke: #777;
+          stroke-width: 4;
+        }
+
+        .deck-preview :global(.preview-wall-side) {
+          fill: rgba(0, 0, 0, 0.08);
+        }
+
+        .deck-preview :global(.preview-frame) {
+          fill: var(--chat--color-primary, #854fff);
+        }
+
+        .deck-preview :global(.preview-joists) {
+          opacity: 0.6;
+        }
+
+        .deck-preview :global(.preview-post) {
+          stroke: #555;
+          stroke-width: 2;
+        }
+
+        .deck-preview :global(.preview-ground) {
+          stroke: #8a6d3b;
+          stroke-width: 1.5;
+        }
+
+        .deck-preview :global(.preview-missing) {
+          opacity: 0.4;
+        }
+
+        .deck-preview :global(.preview-error) {
+          fill: #e0282a;
+          stroke: #e0282a;
+          opacity: 1;
+        }
+
+        .deck-preview :global(.preview-wall-side.preview-error) {
+          fill: rgba(224, 40, 42, 0.12);
+        }
+
+        .deck-preview :global(.preview-deck.preview-error) {
+          fill: rgba(224, 40, 42, 0.08);
+        }
+      `}</style>
+    </figure>
+  );
+}
@@ -0,0 +1,7 @@
+// Runs once per server process: start the contact outbox retry worker.
+export async function register() {
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { startOutboxWorker } = await import("./lib/outbox");
+    startOutboxWorker();
+  }
+}
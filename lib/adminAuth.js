@@ -0,0 +1,26 @@
+import crypto from "node:crypto";
+import { NextResponse } from "next/server";
+
+// Bearer-token check for admin endpoints, against ADMIN_TOKEN.
+// Returns an error response to send back, or null when authorized.
+export function requireAdmin(req) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return NextResponse.json(
+      { error: "ADMIN_TOKEN is not configured" },
+      { status: 503 }
+    );
+  }
+
+  const header = req.headers.get("authorization") || "";
+  const token = header.replace(/^Bearer\s+/i, "");
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return NextResponse.json(
+      { error: "Unauthorized" },
+      { status: 401, headers: { "WWW-Authenticate": "Bearer" } }
+    );
+  }
+  return null;
+}
@@ -0,0 +1,144 @@
+// Photo and plan attachments for the contact form, shared by the widget
+// (type/size checks before upload) and /api/contact (the same checks plus a
+// content sniff, since the declared type comes from the browser).
+//
+// With attachments the widget posts multipart/form-data: the usual JSON body
+// as the `payload` field plus one `attachments` field per file. The webhook
+// receives the same layout, with `payload.attachments` listing the files.
+
+export const ATTACHMENT_LIMITS = {
+  maxFiles: 5,
+  maxFileBytes: 10 * 1024 * 1024,
+  maxTotalBytes: 25 * 1024 * 1024,
+  maxNameLength: 120,
+};
+
+// MIME type -> file extensions
+export const ATTACHMENT_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/webp": [".webp"],
+  "image/heic": [".heic", ".heif"],
+  "application/pdf": [".pdf"],
+};
+
+// Value for <input type="file" accept>
+export const ATTACHMENT_ACCEPT = Object.entries(ATTACHMENT_TYPES)
+  .flatMap(([type, exts]) => [type, ...exts])
+  .join(",");
+
+export function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Supported MIME type of a File/Blob, falling back to its extension
+// (browsers often leave HEIC types empty). Null when unsupported.
+export function attachmentType(file) {
+  const declared = String(file?.type || "").toLowerCase();
+  if (ATTACHMENT_TYPES[declared]) return declared;
+  const name = String(file?.name || "").toLowerCase();
+  for (const [type, exts] of Object.entries(ATTACHMENT_TYPES)) {
+    if (exts.some((ext) => name.endsWith(ext))) return type;
+  }
+  return null;
+}
+
+// Problem with a single file, or "" when it is acceptable
+export function attachmentProblem(file) {
+  const name = file?.name || "File";
+  if (!attachmentType(file)) return `${name} is not an image or PDF.`;
+  if (!file.size) return `${name} is empty.`;
+  if (file.size > ATTACHMENT_LIMITS.maxFileBytes) {
+    return `${name} is larger than ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)}.`;
+  }
+  return "";
+}
+
+// Problem with the whole selection, or "" when it is acceptable
+export function validateAttachments(files) {
+  const list = Array.from(files || []);
+  if (list.length > ATTACHMENT_LIMITS.maxFiles) {
+    return `Attach at most ${ATTACHMENT_LIMITS.maxFiles} files.`;
+  }
+  for (const file of list) {
+    const problem = attachmentProblem(file);
+    if (problem) return problem;
+  }
+  const total = list.reduce((sum, f) => sum + (f.size || 0), 0);
+  if (total > ATTACHMENT_LIMITS.maxTotalBytes) {
+    return `Attachments must be ${formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)} or less in total.`;
+  }
+  return "";
+}
+
+function startsWith(bytes, signature, offset = 0) {
+  return signature.every((b, i) => bytes[offset + i] === b);
+}
+
+const ascii = (s) => Array.from(s, (c) => c.charCodeAt(0));
+
+// MIME type from the first bytes of a file, or null when it is not one of
+// ATTACHMENT_TYPES.
+export function sniffAttachmentType(bytes) {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(bytes, ascii("RIFF")) && startsWith(bytes, ascii("WEBP"), 8)) return "image/webp";
+  if (startsWith(bytes, ascii("%PDF-"))) return "application/pdf";
+  if (startsWith(bytes, ascii("ftyp"), 4)) {
+    const brand = String.fromCharCode(...bytes.slice(8, 12));
+    if (["heic", "heix", "hevc", "heim", "heis", "mif1", "msf1"].includes(brand)) {
+      return "image/heic";
+    }
+  }
+  return null;
+}
+
+function safeName(name, type) {
+  const base = String(name || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[^\w.\- ()]+/g, "_")
+    .slice(-ATTACHMENT_LIMITS.maxNameLength)
+    .trim();
+  return base || `attachment${ATTACHMENT_TYPES[type][0]}`;
+}
+
+// Server side: validate uploaded File objects and read them.
+// Returns { ok: true, files: [{ name, type, size, bytes }] } or
+// { ok: false, message }.
+export async function readAttachments(files) {
+  const list = Array.from(files || []).filter((f) => f && typeof f === "object");
+  const problem = validateAttachments(list);
+  if (problem) return { ok: false, message: problem };
+
+  const out = [];
+  for (const file of list) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const type = sniffAttachmentType(bytes);
+    if (!type) {
+      return { ok: false, message: `${file.name || "File"} does not look like an image or PDF.` };
+    }
+    out.push({ name: safeName(file.name, type), type, size: bytes.length, bytes });
+  }
+  return { ok: true, files: out };
+}
+
+// Multipart body for the webhook: `payload` JSON plus the files.
+// Resolves with { body, contentType } ready for fetchUpstream (the body is
+// bytes so the request signature covers exactly what is sent).
+export async function multipartBody(payload, files) {
+  const form = new FormData();
+  const listing = files.map(({ name, type, size }) => ({ name, type, size }));
+  form.append("payload", JSON.stringify({ ...payload, attachments: listing }));
+  for (const file of files) {
+    form.append("attachments", new Blob([file.bytes], { type: file.type }), file.name);
+  }
+  const encoded = new Response(form);
+  return {
+    body: Buffer.from(await encoded.arrayBuffer()),
+    contentType: encoded.headers.get("content-type"),
+  };
+}
@@ -0,0 +1,20 @@
+import { mockBackend } from "./mock";
+import { n8nBackend } from "./n8n";
+import { openaiBackend } from "./openai";
+
+// Chat backends, selected per route with `backend` in the route registry
+// (lib/webhookRoutes.js). Each adapter implements:
+//   isConfigured(route)                          -> boolean
+//   send({ route, payload, bodyText, stream })   -> Promise<Response>
+// and resolves with a fetch Response that /api/chat handles like a webhook
+// reply: JSON ({ output } or structured) or an NDJSON / SSE token stream.
+
+const BACKENDS = {
+  n8n: n8nBackend,
+  openai: openaiBackend,
+  mock: mockBackend,
+};
+
+export function getBackend(route) {
+  return BACKENDS[String(route?.backend || "n8n").toLowerCase()] || null;
+}
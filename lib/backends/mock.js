@@ -0,0 +1,75 @@
+// Deterministic scripted backend for development and tests: no network,
+// same input, same reply.
+//
+// Route config:
+//   {
+//     "backend": "mock",
+//     "script": [
+//       { "match": "price|quote", "reply": "Let's size your deck. [[open_deck_form]]" },
+//       { "match": "gallery", "reply": { "messages": ["..."], "quickReplies": ["..."] } }
+//     ]
+//   }
+// `match` is a case-insensitive regular expression tested against the
+// message; `reply` is a string or a structured reply (see lib/botResponse.js).
+// Without a script, a small built-in one is used.
+
+const DEFAULT_SCRIPT = [
+  {
+    match: "\\b(quote|price|pricing|cost|calculat)",
+    reply: "Happy to help with a quote. Tap below to enter your deck size. [[open_deck_form]]",
+  },
+  {
+    match: "\\b(engineer|contact|call|email|talk)",
+    reply: "Our engineering team can review your project. [[open_contact_form]]",
+  },
+  {
+    match: "\\b(hi|hello|hey)\\b",
+    reply: {
+      messages: ["Hi! This is the Spanmor mock assistant."],
+      quickReplies: ["I want a deck quote", "I need an engineer"],
+    },
+  },
+];
+
+function pickReply(script, text) {
+  for (const rule of script) {
+    try {
+      if (new RegExp(rule.match, "i").test(text)) return rule.reply;
+    } catch {
+      // ignore invalid patterns
+    }
+  }
+  return `Mock reply to: "${text}"`;
+}
+
+// n8n-style chunked stream, one item per word, to exercise streaming
+function streamOf(text) {
+  const encoder = new TextEncoder();
+  const words = text.split(/(?<=\s)/);
+  return new ReadableStream({
+    start(controller) {
+      const line = (evt) => controller.enqueue(encoder.encode(`${JSON.stringify(evt)}\n`));
+      line({ type: "begin" });
+      for (const word of words) line({ type: "item", content: word });
+      line({ type: "end" });
+      controller.close();
+    },
+  });
+}
+
+export const mockBackend = {
+  isConfigured() {
+    return true;
+  },
+
+  async send({ route, payload, stream }) {
+    const script = Array.isArray(route.script) ? route.script : DEFAULT_SCRIPT;
+    const reply = pickReply(script, payload.chatInput);
+    if (typeof reply === "string" && stream) {
+      return new Response(streamOf(reply), {
+        headers: { "content-type": "application/x-ndjson" },
+      });
+    }
+    return Response.json(typeof reply === "string" ? { output: reply } : reply);
+  },
+};
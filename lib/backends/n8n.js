@@ -0,0 +1,19 @@
+import { fetchUpstream } from "../upstream";
+
+// n8n webhook backend: forwards the widget payload as-is. Replies are
+// { output } / [{ output }], structured replies, or an n8n stream.
+export const n8nBackend = {
+  isConfigured(route) {
+    return Boolean(route.url);
+  },
+
+  async send({ route, bodyText }) {
+    return fetchUpstream(route.url, {
+      headers: { ...route.headers, "Content-Type": "application/json" },
+      body: bodyText,
+      breakerKey: `chat:${route.name}`,
+      timeoutMs: route.timeoutMs,
+      retries: route.retries,
+    });
+  },
+};
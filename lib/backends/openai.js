@@ -0,0 +1,86 @@
+import { UpstreamError, fetchUpstream } from "../upstream";
+import { readTranscript } from "../transcripts";
+
+// OpenAI-compatible chat-completions backend. Works against any server that
+// speaks the same API (OpenAI, a local llama.cpp / Ollama / vLLM server, ...).
+//
+// Route config:
+//   {
+//     "backend": "openai",
+//     "baseUrl": "http://localhost:11434/v1",   (default https://api.openai.com/v1)
+//     "model": "llama3.1",
+//     "apiKey": "${OPENAI_API_KEY}",             (optional for local servers)
+//     "systemPrompt": "You are Spanmor's deck assistant...",
+//     "temperature": 0.3,
+//     "historyTurns": 10                          (earlier messages from the transcript)
+//   }
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_SYSTEM_PROMPT =
+  "You are the Spanmor assistant on spanmor.com.au. Spanmor makes steel deck framing. " +
+  "Answer briefly and helpfully. When the user wants a deck quote, end your reply with " +
+  "[[open_deck_form]]. When they need an engineer or a person, end it with [[open_contact_form]].";
+
+async function history(route, sessionId) {
+  const turns = Number.isInteger(route.historyTurns) ? route.historyTurns : 10;
+  if (!turns || !sessionId) return [];
+  try {
+    const entries = await readTranscript(sessionId);
+    return entries.slice(-turns).map((e) => ({
+      role: e.role === "bot" ? "assistant" : "user",
+      content: e.text,
+    }));
+  } catch {
+    return [];
+  }
+}
+
+export const openaiBackend = {
+  isConfigured(route) {
+    return Boolean(route.model);
+  },
+
+  async send({ route, payload, stream }) {
+    const baseUrl = String(route.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    const messages = [
+      { role: "system", content: route.systemPrompt || DEFAULT_SYSTEM_PROMPT },
+      ...(await history(route, payload.sessionId)),
+      { role: "user", content: payload.chatInput },
+    ];
+    const body = JSON.stringify({
+      model: route.model,
+      messages,
+      stream: Boolean(stream),
+      ...(route.temperature != null ? { temperature: Number(route.temperature) } : {}),
+    });
+
+    const res = await fetchUpstream(`${baseUrl}/chat/completions`, {
+      headers: {
+        ...route.headers,
+        "Content-Type": "application/json",
+        ...(route.apiKey ? { Authorization: `Bearer ${route.apiKey}` } : {}),
+      },
+      body,
+      breakerKey: `chat:${route.name}`,
+      timeoutMs: route.timeoutMs,
+      retries: route.retries,
+      sign: false,
+    });
+
+    // Streams (SSE with choices[].delta) are handled by lib/chatStream.js;
+    // whole completions are mapped to the { output } shape.
+    const contentType = res.headers.get("content-type") || "";
+    if (!res.ok || contentType.includes("text/event-stream")) return res;
+
+    let data = null;
+    try {
+      data = await res.json();
+    } catch (err) {
+      // A stalled body is a timeout, not an empty reply
+      if (err instanceof UpstreamError) throw err;
+      data = null;
+    }
+    const output = data?.choices?.[0]?.message?.content || "";
+    return Response.json({ output }, { status: res.status });
+  },
+};
@@ -0,0 +1,169 @@
+// Normalization of bot replies, shared by /api/chat and the widget.
+//
+// n8n flows may answer with the classic { output: "..." } (or [{ output }])
+// where the text can carry [[open_deck_form]] / [[open_contact_form]] tokens,
+// or with a structured reply that drives the UI explicitly:
+//
+//   {
+//     "messages": ["First bubble", { "text": "Second bubble" }],
+//     "actions": [{ "type": "openDeckForm", "label": "Start deck quote" },
+//                 { "type": "sendMessage", "label": "Pricing", "params": { "text": "How much?" } }],
+//     "links": [{ "label": "Deck gallery", "url": "https://spanmor.com.au/gallery" }],
+//     "quickReplies": ["Free standing", { "label": "Talk to sales", "text": "I want to talk to sales" }],
+//     "cards": [{ "title": "Spanmor frame kit", "description": "...", "image": "https://...",
+//                 "url": "https://spanmor.com.au/...", "price": "From $1,200" }]
+//   }
+//
+// Both come out as:
+//   { output, parts: [{ text }], actions, links, quickReplies, cards }
+// where `output` is the parts joined, so older clients keep working.
+
+export const ACTION_TYPES = ["openDeckForm", "openContactForm", "openLink", "sendMessage"];
+
+const DEFAULT_ACTION_LABELS = {
+  openDeckForm: "Start deck quote",
+  openContactForm: "Contact us",
+  openLink: "Open link",
+};
+
+// Legacy text tokens and the actions they stand for
+const ACTION_TOKENS = [
+  { token: "[[open_deck_form]]", type: "openDeckForm" },
+  { token: "[[open_contact_form]]", type: "openContactForm" },
+];
+
+const LIMITS = { parts: 6, actions: 6, links: 6, quickReplies: 8, cards: 6, text: 4000, label: 80 };
+
+export function isAllowedLinkHost(host) {
+  const h = String(host || "").toLowerCase().replace(/^www\./, "");
+  return h === "spanmor.com.au" || h.endsWith(".spanmor.com.au");
+}
+
+function safeUrl(raw, { allowAnyHost = false } = {}) {
+  try {
+    const u = new URL(String(raw || "").trim());
+    if (u.protocol !== "https:" && u.protocol !== "http:") return "";
+    if (!allowAnyHost && !isAllowedLinkHost(u.hostname)) return "";
+    return u.toString();
+  } catch {
+    return "";
+  }
+}
+
+function clip(value, max) {
+  return String(value ?? "").trim().slice(0, max);
+}
+
+// Pull the legacy [[...]] tokens out of reply text
+export function extractActionsFromText(rawText) {
+  let cleaned = String(rawText || "");
+  const actions = [];
+  for (const { token, type } of ACTION_TOKENS) {
+    if (cleaned.includes(token)) {
+      cleaned = cleaned.split(token).join("").replace(/\n{3,}/g, "\n\n").trim();
+      actions.push({ type, label: DEFAULT_ACTION_LABELS[type], params: {} });
+    }
+  }
+  return { cleaned: cleaned.trim(), actions };
+}
+
+function normalizeActionType(type) {
+  const t = String(type || "");
+  const camel = t.replace(/[_-]([a-z])/g, (_, c) => c.toUpperCase());
+  return ACTION_TYPES.includes(camel) ? camel : null;
+}
+
+function normalizeAction(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const type = normalizeActionType(raw.type);
+  if (!type) return null;
+  const params = raw.params && typeof raw.params === "object" ? { ...raw.params } : {};
+  if (type === "openLink") {
+    params.url = safeUrl(params.url || raw.url);
+    if (!params.url) return null;
+  }
+  if (type === "sendMessage") {
+    params.text = clip(params.text || raw.text || raw.label, LIMITS.text);
+    if (!params.text) return null;
+  }
+  const label = clip(raw.label || DEFAULT_ACTION_LABELS[type] || params.text, LIMITS.label);
+  return { type, label, params };
+}
+
+function normalizeLink(raw) {
+  const url = safeUrl(typeof raw === "string" ? raw : raw?.url);
+  if (!url) return null;
+  return { url, label: clip(raw?.label || raw?.title || url, LIMITS.label) };
+}
+
+function normalizeQuickReply(raw) {
+  if (typeof raw === "string") {
+    const label = clip(raw, LIMITS.label);
+    return label ? { label, text: label } : null;
+  }
+  const label = clip(raw?.label || raw?.text, LIMITS.label);
+  if (!label) return null;
+  return { label, text: clip(raw?.text || label, LIMITS.text) };
+}
+
+function normalizeCard(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const title = clip(raw.title || raw.name, 120);
+  if (!title) return null;
+  return {
+    title,
+    description: clip(raw.description || raw.subtitle, 300),
+    image: safeUrl(raw.image || raw.imageUrl, { allowAnyHost: true }),
+    url: safeUrl(raw.url || raw.link),
+    price: clip(raw.price, 40),
+    ctaLabel: clip(raw.ctaLabel || raw.cta || "View", LIMITS.label),
+  };
+}
+
+function list(value, normalize, max) {
+  if (!Array.isArray(value)) return [];
+  return value.map(normalize).filter(Boolean).slice(0, max);
+}
+
+function partText(raw) {
+  if (typeof raw === "string") return raw;
+  if (raw && typeof raw === "object") return raw.text ?? raw.output ?? raw.content ?? "";
+  return "";
+}
+
+export function normalizeBotResponse(data) {
+  const source = Array.isArray(data) ? data[0] : data;
+  const reply = source && typeof source === "object" ? source : { output: source };
+
+  const rawParts = Array.isArray(reply.parts)
+    ? reply.parts
+    : Array.isArray(reply.messages)
+      ? reply.messages
+      : [reply.output ?? reply.text ?? ""];
+
+  const parts = [];
+  const actions = [];
+  for (const raw of rawParts.slice(0, LIMITS.parts)) {
+    const { cleaned, actions: tokenActions } = extractActionsFromText(partText(raw));
+    if (cleaned) parts.push({ text: clip(cleaned, LIMITS.text) });
+    actions.push(...tokenActions);
+  }
+
+  actions.push(...list(reply.actions, normalizeAction, LIMITS.actions));
+  const seen = new Set();
+  const uniqueActions = actions.filter((a) => {
+    const key = `${a.type}:${a.label}:${a.params?.url || a.params?.text || ""}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    output: parts.map((p) => p.text).join("\n\n"),
+    parts,
+    actions: uniqueActions.slice(0, LIMITS.actions),
+    links: list(reply.links || reply.buttons, normalizeLink, LIMITS.links),
+    quickReplies: list(reply.quickReplies || reply.suggestions, normalizeQuickReply, LIMITS.quickReplies),
+    cards: list(reply.cards || reply.products, normalizeCard, LIMITS.cards),
+  };
+}
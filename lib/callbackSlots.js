@@ -0,0 +1,185 @@
+// Callback slots for the contact panel's "request a callback" mode, generated
+// from business hours in an Australian timezone. /api/callback-slots serves
+// them to the widget and /api/contact checks the chosen one against a fresh
+// list, so both always agree.
+//
+// Env:
+//   CALLBACK_TIMEZONE       Australia/* zone (default Australia/Sydney)
+//   CALLBACK_HOURS          e.g. "mon-fri 08:00-17:00; sat 09:00-12:00"
+//                           (default "mon-fri 08:00-17:00")
+//   CALLBACK_SLOT_MINUTES   slot length (default 60)
+//   CALLBACK_LEAD_MINUTES   earliest slot from now (default 120)
+//   CALLBACK_DAYS_AHEAD     how many days to offer (default 7)
+//   CALLBACK_CLOSED_DATES   e.g. "2026-12-25,2026-12-26" (local dates)
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_HOURS = "mon-fri 08:00-17:00";
+const MINUTE = 60 * 1000;
+// A slot picked just before it drops out of the list is still accepted
+const GRACE_MS = 10 * MINUTE;
+
+function toMinutes(hhmm) {
+  const match = String(hhmm).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// "mon-fri 08:00-17:00; sat 09:00-12:00" -> { 1: [[480, 1020]], ..., 6: [[540, 720]] }
+export function parseBusinessHours(spec) {
+  const hours = {};
+  for (const part of String(spec || "").split(";").map((s) => s.trim()).filter(Boolean)) {
+    const match = part.toLowerCase().match(/^([a-z]{3})(?:-([a-z]{3}))?\s+(\S+)-(\S+)$/);
+    const from = match && DAY_NAMES.indexOf(match[1]);
+    const to = match && DAY_NAMES.indexOf(match[2] || match[1]);
+    const open = match && toMinutes(match[3]);
+    const close = match && toMinutes(match[4]);
+    if (!match || from < 0 || to < 0 || open == null || close == null || close <= open) {
+      throw new Error(`Invalid business hours: "${part}"`);
+    }
+    for (let d = from; ; d = (d + 1) % 7) {
+      (hours[d] ||= []).push([open, close]);
+      if (d === to) break;
+    }
+  }
+  return hours;
+}
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export function isAustralianTimezone(timezone) {
+  if (!/^Australia\/[A-Za-z_]+$/.test(String(timezone || ""))) return false;
+  try {
+    new Intl.DateTimeFormat("en-AU", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Server config from env; throws when it is invalid.
+export function getCallbackConfig() {
+  const timezone = process.env.CALLBACK_TIMEZONE || "Australia/Sydney";
+  if (!isAustralianTimezone(timezone)) {
+    throw new Error(`CALLBACK_TIMEZONE must be an Australia/* timezone, got "${timezone}"`);
+  }
+  return {
+    timezone,
+    hours: parseBusinessHours(process.env.CALLBACK_HOURS || DEFAULT_HOURS),
+    slotMinutes: envInt("CALLBACK_SLOT_MINUTES", 60),
+    leadMinutes: envInt("CALLBACK_LEAD_MINUTES", 120),
+    daysAhead: Math.min(envInt("CALLBACK_DAYS_AHEAD", 7), 30),
+    closedDates: String(process.env.CALLBACK_CLOSED_DATES || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+  };
+}
+
+// Wall-clock parts of `date` in `timezone`
+function zonedParts(date, timezone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  });
+  for (const { type, value } of format.formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+function offsetMs(date, timezone) {
+  const p = zonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of a local wall-clock time in `timezone` (DST aware)
+function zonedTime(year, month, day, minutes, timezone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = guess - offsetMs(new Date(guess), timezone);
+  return new Date(guess - offsetMs(new Date(first), timezone));
+}
+
+function slotLabel(start, end, timezone) {
+  const day = new Intl.DateTimeFormat("en-AU", {
+    timeZone: timezone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  }).format(start);
+  const time = new Intl.DateTimeFormat("en-AU", {
+    timeZone: timezone,
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  });
+  const from = time.format(start).replace(/\s*\S+$/, "");
+  return { day, time: `${from} – ${time.format(end)}` };
+}
+
+// Slots from `now` on: [{ start, end (ISO), day, time, label }]
+export function generateSlots(config, now = new Date()) {
+  const { timezone, hours, slotMinutes, leadMinutes, daysAhead, closedDates } = config;
+  const earliest = now.getTime() + leadMinutes * MINUTE;
+  const today = zonedParts(now, timezone);
+  const slots = [];
+
+  for (let offset = 0; offset <= daysAhead; offset += 1) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const [y, m, d] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    const iso = `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+    if (closedDates.includes(iso)) continue;
+
+    for (const [open, close] of hours[date.getUTCDay()] || []) {
+      for (let t = open; t + slotMinutes <= close; t += slotMinutes) {
+        const start = zonedTime(y, m, d, t, timezone);
+        if (start.getTime() < earliest) continue;
+        const end = new Date(start.getTime() + slotMinutes * MINUTE);
+        const { day, time } = slotLabel(start, end, timezone);
+        slots.push({
+          start: start.toISOString(),
+          end: end.toISOString(),
+          day,
+          time,
+          label: `${day}, ${time}`,
+        });
+      }
+    }
+  }
+  return slots;
+}
+
+// Widget side: problem with the chosen slot start, or "" when it is fine
+export function callbackChoiceProblem(start, slots, now = Date.now()) {
+  if (!start) return "Choose a time for us to call.";
+  const slot = (slots || []).find((s) => s.start === start);
+  if (!slot) return "Choose one of the available times.";
+  if (Date.parse(slot.start) < now) return "That time has passed. Choose another.";
+  return "";
+}
+
+// Server side: the structured callback for a requested slot start.
+// Returns { ok: true, callback } or { ok: false, message }.
+export function resolveCallbackSlot(start, config = getCallbackConfig(), now = new Date()) {
+  const slots = generateSlots(config, new Date(now.getTime() - GRACE_MS));
+  const slot = slots.find((s) => s.start === start);
+  if (!slot) return { ok: false, message: "That time is no longer available. Choose another." };
+  return {
+    ok: true,
+    callback: {
+      start: slot.start,
+      end: slot.end,
+      timezone: config.timezone,
+      label: slot.label,
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import { validate } from "./schema";
+
+// Shape of the payload built by sendMessage/sendQuickMessage in the widget.
+// /api/chat rejects anything else before it reaches the upstream.
+
+export const CHAT_LIMITS = {
+  maxBodyBytes: 16 * 1024,
+  maxInputLength: 2000,
+};
+
+export const CHAT_ACTIONS = ["sendMessage", "loadPreviousSession"];
+
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+export const chatPayloadSchema = {
+  type: "object",
+  label: "Request body",
+  fields: {
+    action: { type: "string", required: true, enum: CHAT_ACTIONS, label: "Action" },
+    sessionId: {
+      type: "string",
+      required: true,
+      maxLength: 128,
+      pattern: SESSION_ID_PATTERN,
+      patternMessage: "Session id is not valid.",
+      label: "Session id",
+    },
+    route: {
+      type: "string",
+      maxLength: 64,
+      pattern: /^[A-Za-z0-9_-]*$/,
+      label: "Route",
+    },
+    chatInput: {
+      type: "string",
+      required: true,
+      maxLength: CHAT_LIMITS.maxInputLength,
+      label: "Message",
+    },
+    metadata: {
+      type: "object",
+      label: "Metadata",
+      fields: {
+        userId: { type: "string", maxLength: 128, label: "User id" },
+      },
+    },
+  },
+};
+
+// Parse and validate a raw /api/chat body.
+// Returns { ok: true, payload } or { ok: false, status, body } for a 4xx reply.
+export function readChatPayload(bodyText) {
+  if (new TextEncoder().encode(bodyText).length > CHAT_LIMITS.maxBodyBytes) {
+    return {
+      ok: false,
+      status: 413,
+      body: { error: "Request body is too large", code: "payload_too_large" },
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(bodyText);
+  } catch {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "Request body must be valid JSON", code: "invalid_json" },
+    };
+  }
+
+  const fields = validate(chatPayloadSchema, payload);
+  if (Object.keys(fields).length > 0) {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "Invalid request", code: "invalid_request", fields },
+    };
+  }
+
+  return { ok: true, payload };
+}
@@ -0,0 +1,190 @@
+// Helpers for streaming bot replies through /api/chat.
+// The proxy normalizes whatever the upstream streams (n8n NDJSON chunks or
+// SSE `data:` lines) into NDJSON events the widget understands:
+//   {"type":"token","content":"..."}
+//   {"type":"error","message":"..."}
+//   {"type":"end"}
+
+export const NDJSON_CONTENT_TYPE = "application/x-ndjson";
+
+const STREAM_EVENT_TYPES = new Set(["begin", "item", "end", "error"]);
+
+export function isStreamingContentType(contentType) {
+  const ct = String(contentType || "").toLowerCase();
+  return ct.includes("ndjson") || ct.includes("jsonl") || ct.includes("text/event-stream");
+}
+
+// Whether the client asked for a streamed reply via the Accept header
+export function wantsStream(req) {
+  const accept = req.headers.get("accept") || "";
+  return isStreamingContentType(accept);
+}
+
+// Pull the text token out of a single upstream event (n8n item chunk,
+// OpenAI-style delta or a bare string).
+function tokenFromEvent(evt) {
+  if (typeof evt === "string") return evt;
+  if (!evt || typeof evt !== "object") return "";
+  if (typeof evt.content === "string") return evt.content;
+  if (typeof evt.text === "string") return evt.text;
+  if (typeof evt.output === "string") return evt.output;
+  if (typeof evt.delta === "string") return evt.delta;
+  const delta = evt.choices?.[0]?.delta?.content;
+  return typeof delta === "string" ? delta : "";
+}
+
+function normalizeEvent(evt) {
+  if (evt && typeof evt === "object" && evt.type === "error") {
+    return { type: "error", message: String(evt.content || evt.message || "Upstream error") };
+  }
+  if (evt && typeof evt === "object" && (evt.type === "begin" || evt.type === "end")) {
+    return null;
+  }
+  const content = tokenFromEvent(evt);
+  return content ? { type: "token", content } : null;
+}
+
+function parseLine(line, sse) {
+  let s = line.replace(/\r$/, "");
+  if (sse) {
+    if (!s.startsWith("data:")) return null;
+    s = s.slice(5).replace(/^ /, "");
+    if (s === "[DONE]") return null;
+  }
+  if (!s.trim()) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    // SSE payloads may be plain text tokens
+    return sse ? s : null;
+  }
+}
+
+// Split a byte stream (read through `reader`) into lines and hand each
+// complete line to onLine.
+async function forEachLine(reader, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 1);
+      await onLine(line);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) await onLine(buffer);
+}
+
+// Inspect the start of an upstream body to tell a chunked n8n stream apart
+// from a plain JSON reply. n8n's streaming webhooks often still answer with
+// `application/json`, so the content type alone is not enough.
+export async function openUpstreamBody(res) {
+  const contentType = res.headers.get("content-type") || "";
+  if (!res.body) return { streaming: false, body: null, contentType };
+  if (isStreamingContentType(contentType)) {
+    return { streaming: true, body: res.body, contentType };
+  }
+
+  const reader = res.body.getReader();
+  const first = await reader.read();
+  const head = first.done ? "" : new TextDecoder().decode(first.value);
+  const firstLine = head.split("\n")[0].trim();
+  let streaming = false;
+  try {
+    const evt = JSON.parse(firstLine);
+    streaming = Boolean(evt && STREAM_EVENT_TYPES.has(evt.type));
+  } catch {
+    streaming = false;
+  }
+
+  // Re-assemble the body including the chunk we already consumed
+  const body = new ReadableStream({
+    start(controller) {
+      if (!first.done) controller.enqueue(first.value);
+      if (first.done) controller.close();
+    },
+    async pull(controller) {
+      const { value, done } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+  return { streaming, body, contentType };
+}
+
+// Convert an upstream stream into our NDJSON event stream.
+// `onComplete` receives the full reply text once the stream finishes, or what
+// was sent when the client went away. Cancelling cancels the upstream too.
+export function createTokenStream(upstreamBody, contentType, opts = {}) {
+  const sse = String(contentType || "").toLowerCase().includes("text/event-stream");
+  const encoder = new TextEncoder();
+  const reader = upstreamBody.getReader();
+  let fullText = "";
+  let cancelled = false;
+
+  return new ReadableStream({
+    async start(controller) {
+      const emit = (evt) => {
+        if (!cancelled) controller.enqueue(encoder.encode(`${JSON.stringify(evt)}\n`));
+      };
+      try {
+        await forEachLine(reader, (line) => {
+          const parsed = parseLine(line, sse);
+          if (parsed === null) return;
+          const evt = normalizeEvent(parsed);
+          if (!evt) return;
+          if (evt.type === "token") fullText += evt.content;
+          emit(evt);
+        });
+      } catch {
+        emit({ type: "error", message: "Stream interrupted" });
+      }
+      emit({ type: "end" });
+      if (!cancelled) controller.close();
+      if (typeof opts.onComplete === "function") opts.onComplete(fullText);
+    },
+    cancel(reason) {
+      cancelled = true;
+      return reader.cancel(reason);
+    },
+  });
+}
+
+// Drain a token stream into a single string (for clients that did not ask
+// for streaming while the upstream streamed anyway).
+export async function collectTokenText(tokenStream) {
+  const { text } = await readChatStream(tokenStream);
+  return text;
+}
+
+// Client-side reader for the NDJSON events emitted by /api/chat.
+// Resolves with the full reply text and the last stream error, if any.
+export async function readChatStream(body, handlers = {}) {
+  let text = "";
+  let error = null;
+  await forEachLine(body.getReader(), (line) => {
+    if (!line.trim()) return;
+    let evt;
+    try {
+      evt = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (evt.type === "token" && typeof evt.content === "string") {
+      text += evt.content;
+      handlers.onToken?.(evt.content, text);
+    } else if (evt.type === "error") {
+      error = evt.message || "Stream error";
+      handlers.onError?.(error);
+    }
+  });
+  return { text, error };
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from "vitest";
+import { createTokenStream, readChatStream } from "./chatStream";
+
+const encoder = new TextEncoder();
+
+// An upstream body that sends `lines` and then stays open until cancelled
+function openUpstream(lines) {
+  const cancel = vi.fn();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const line of lines) controller.enqueue(encoder.encode(`${line}\n`));
+    },
+    cancel,
+  });
+  return { body, cancel };
+}
+
+describe("createTokenStream", () => {
+  it("turns upstream chunks into token events", async () => {
+    const body = new Response('{"type":"item","content":"Hel"}\n{"type":"item","content":"lo"}\n').body;
+    const onComplete = vi.fn();
+    const { text, error } = await readChatStream(createTokenStream(body, "application/json", { onComplete }));
+    expect(text).toBe("Hello");
+    expect(error).toBeNull();
+    expect(onComplete).toHaveBeenCalledWith("Hello");
+  });
+
+  it("cancels the upstream when the client goes away", async () => {
+    const upstream = openUpstream(['{"type":"item","content":"Hi"}']);
+    const onComplete = vi.fn();
+    const reader = createTokenStream(upstream.body, "application/json", { onComplete }).getReader();
+    expect(new TextDecoder().decode((await reader.read()).value)).toContain('"Hi"');
+
+    await reader.cancel("client disconnected");
+    expect(upstream.cancel).toHaveBeenCalledWith("client disconnected");
+    await vi.waitFor(() => expect(onComplete).toHaveBeenCalledWith("Hi"));
+  });
+});
+
+describe("readChatStream", () => {
+  it("returns the text so far and the stream error", async () => {
+    const body = new Response('{"type":"token","content":"Par"}\n{"type":"error","message":"Stream interrupted"}\n').body;
+    const onError = vi.fn();
+    expect(await readChatStream(body, { onError })).toEqual({ text: "Par", error: "Stream interrupted" });
+    expect(onError).toHaveBeenCalledWith("Stream interrupted");
+  });
+});
@@ -0,0 +1,77 @@
+// Simple circuit breaker per upstream.
+//
+//   closed     requests flow; consecutive failures are counted
+//   open       after `failureThreshold` failures: fail fast for `resetTimeoutMs`
+//   half-open  after the cooldown one trial request is let through; success
+//              closes the circuit, failure opens it again. A trial that ends
+//              without either (`release`), or doesn't report back within
+//              `resetTimeoutMs`, frees the slot for the next request.
+
+const breakers = new Map();
+
+export function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  let trialStartedAt = 0;
+
+  return {
+    get state() {
+      if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) return "half-open";
+      return state;
+    },
+
+    // Seconds until the circuit will let a trial request through
+    retryAfter() {
+      if (state !== "open") return 0;
+      return Math.max(0, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000));
+    },
+
+    canRequest() {
+      if (state === "closed") return true;
+      if (state === "open" && Date.now() - openedAt < resetTimeoutMs) return false;
+      // half-open: allow a single trial at a time
+      if (trialInFlight && Date.now() - trialStartedAt < resetTimeoutMs) return false;
+      state = "half-open";
+      trialInFlight = true;
+      trialStartedAt = Date.now();
+      return true;
+    },
+
+    // The request is over without onSuccess/onFailure (e.g. it threw before
+    // reaching the upstream); frees a half-open trial
+    release() {
+      trialInFlight = false;
+    },
+
+    onSuccess() {
+      state = "closed";
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    onFailure() {
+      trialInFlight = false;
+      failures += 1;
+      if (state === "half-open" || failures >= failureThreshold) {
+        state = "open";
+        openedAt = Date.now();
+      }
+    },
+  };
+}
+
+// Shared breaker per key (e.g. "chat:general", "contact"), configured from env:
+//   CIRCUIT_FAILURE_THRESHOLD (default 5), CIRCUIT_RESET_MS (default 30000)
+export function getCircuitBreaker(key) {
+  let breaker = breakers.get(key);
+  if (!breaker) {
+    breaker = createCircuitBreaker({
+      failureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: Number(process.env.CIRCUIT_RESET_MS) || 30000,
+    });
+    breakers.set(key, breaker);
+  }
+  return breaker;
+}
@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createCircuitBreaker, getCircuitBreaker } from "./circuitBreaker";
+import { fetchUpstream } from "./upstream";
+
+describe("createCircuitBreaker", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const openBreaker = () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+    breaker.onFailure();
+    breaker.onFailure();
+    return breaker;
+  };
+
+  it("opens after the failure threshold and fails fast", () => {
+    const breaker = openBreaker();
+    expect(breaker.state).toBe("open");
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAfter()).toBe(1);
+  });
+
+  it("lets one trial through after the cooldown", () => {
+    const breaker = openBreaker();
+    vi.advanceTimersByTime(1000);
+    expect(breaker.state).toBe("half-open");
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+    breaker.onSuccess();
+    expect(breaker.state).toBe("closed");
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("opens again when the trial fails", () => {
+    const breaker = openBreaker();
+    vi.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.onFailure();
+    expect(breaker.state).toBe("open");
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it("frees the trial when it is released without a result", () => {
+    const breaker = openBreaker();
+    vi.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true);
+    breaker.release();
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("frees a trial that never reports back", () => {
+    const breaker = openBreaker();
+    vi.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true);
+    vi.advanceTimersByTime(999);
+    expect(breaker.canRequest()).toBe(false);
+    vi.advanceTimersByTime(1);
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
+
+describe("fetchUpstream", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it("releases a half-open trial when handling the response throws", async () => {
+    vi.useFakeTimers();
+    const key = "test:half-open-throw";
+    const breaker = getCircuitBreaker(key);
+    for (let i = 0; i < 5; i += 1) breaker.onFailure();
+    vi.advanceTimersByTime(30000);
+
+    const broken = {
+      get status() {
+        throw new Error("bad response");
+      },
+    };
+    vi.stubGlobal("fetch", vi.fn(async () => broken));
+    await expect(fetchUpstream("http://upstream.test/", { breakerKey: key, body: "{}" })).rejects.toThrow("bad response");
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("retries a 503 but not a 504, which the upstream may still be handling", async () => {
+    const fetch = vi.fn(async () => new Response("", { status: 503 }));
+    vi.stubGlobal("fetch", fetch);
+    const opts = { body: "{}", retries: 2, retryBaseMs: 0 };
+    await expect(fetchUpstream("http://upstream.test/", { ...opts, breakerKey: "test:503" })).rejects.toThrow("503");
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    fetch.mockClear();
+    fetch.mockImplementation(async () => new Response("", { status: 504 }));
+    await expect(fetchUpstream("http://upstream.test/", { ...opts, breakerKey: "test:504" })).rejects.toThrow("504");
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("times out a body that stops sending data", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (_url, { signal }) => {
+        const stalled = new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('{"output":'));
+            // Like fetch, error the body when the request is aborted
+            signal.addEventListener("abort", () => controller.error(signal.reason));
+          },
+        });
+        return new Response(stalled, { headers: { "content-type": "application/json" } });
+      })
+    );
+    const res = await fetchUpstream("http://upstream.test/", { breakerKey: "test:stall", body: "{}", timeoutMs: 50 });
+    await expect(res.text()).rejects.toMatchObject({ name: "UpstreamError", kind: "timeout" });
+  });
+});
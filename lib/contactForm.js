@@ -0,0 +1,328 @@
+import { validate } from "./schema";
+import { SESSION_ID_PATTERN } from "./chatPayload";
+import { resolveCallbackSlot } from "./callbackSlots";
+import {
+  DECK_CONFIGS,
+  DECK_LIMITS,
+  DECK_SIDES,
+  JOIST_CONFIGS,
+  describeDeckSpec,
+  sectionName,
+} from "./deckSpec";
+
+// Contact form rules, shared by the widget's contact panel and /api/contact so
+// both agree on what a valid lead is. Values are normalized before they are
+// validated and forwarded: whitespace trimmed and collapsed, emails
+// lower-cased, Australian phone numbers converted to E.164 (+61...).
+//
+// A submission may ask for a phone call instead of an email reply with
+// `callback: { start }`, one of the slots from /api/callback-slots; it is
+// forwarded as { start, end, timezone, label }.
+//
+// Submissions may carry `context`: the chat so far and the deck form values,
+// so the engineer receiving the lead does not have to ask again.
+
+export const CONTACT_LIMITS = {
+  maxBodyBytes: 64 * 1024,
+  name: 100,
+  phone: 32,
+  email: 254,
+  message: 4000,
+  contextMessages: 60,
+  contextMessageLength: 2000,
+};
+
+const dimension = (label) => ({ type: "number", min: 0, max: 100000, label });
+
+const SECTION_NAMES = Array.from({ length: DECK_LIMITS.maxSections }, (_, i) => sectionName(i));
+
+const contextSchema = {
+  type: "object",
+  label: "Context",
+  fields: {
+    transcript: {
+      type: "array",
+      maxItems: CONTACT_LIMITS.contextMessages,
+      label: "Transcript",
+      items: {
+        type: "object",
+        label: "Transcript message",
+        fields: {
+          role: { type: "string", required: true, enum: ["user", "bot"], label: "Role" },
+          text: { type: "string", required: true, maxLength: CONTACT_LIMITS.contextMessageLength, label: "Text" },
+        },
+      },
+    },
+    deck: {
+      type: "object",
+      label: "Deck",
+      fields: {
+        lengthMm: dimension("Length"),
+        widthMm: dimension("Width"),
+        minHeightMm: dimension("Minimum height"),
+        maxHeightMm: dimension("Maximum height"),
+        deckConfig: { type: "string", enum: Object.keys(DECK_CONFIGS), label: "Deck configuration" },
+        joistConfig: { type: "string", enum: Object.keys(JOIST_CONFIGS), label: "Joist configuration" },
+        sections: {
+          type: "array",
+          maxItems: DECK_LIMITS.maxSections - 1,
+          label: "Sections",
+          items: {
+            type: "object",
+            label: "Section",
+            fields: {
+              name: { type: "string", required: true, enum: SECTION_NAMES.slice(1), label: "Section name" },
+              lengthMm: dimension("Length"),
+              widthMm: dimension("Width"),
+              minHeightMm: dimension("Minimum height"),
+              maxHeightMm: dimension("Maximum height"),
+              attachedTo: { type: "string", enum: SECTION_NAMES, label: "Attached to" },
+              side: { type: "string", enum: Object.keys(DECK_SIDES), label: "Side" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export const CONTACT_FIELDS = ["name", "phone", "email", "message"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+
+// Envelope of the JSON body; field content is checked by validateContactFields
+export const contactPayloadSchema = {
+  type: "object",
+  required: true,
+  label: "Request body",
+  fields: {
+    name: { type: "string", label: "Name" },
+    phone: { type: "string", label: "Phone" },
+    email: { type: "string", label: "Email" },
+    message: { type: "string", label: "How Can We Help?" },
+    sessionId: {
+      type: "string",
+      maxLength: 128,
+      pattern: SESSION_ID_PATTERN,
+      patternMessage: "Session id is not valid.",
+      label: "Session id",
+    },
+    // Spam signals, see lib/spamGuard.js; never forwarded
+    website: { type: "string", maxLength: 500, label: "Website" },
+    elapsedMs: { type: "number", min: 0, label: "Elapsed time" },
+    challengeToken: { type: "string", maxLength: 4096, label: "Challenge token" },
+    context: contextSchema,
+    callback: {
+      type: "object",
+      label: "Callback",
+      fields: {
+        start: { type: "string", required: true, maxLength: 40, label: "Callback time" },
+      },
+    },
+  },
+};
+
+function singleLine(value) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u001f\u007f]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function multiLine(value) {
+  return String(value ?? "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0009\u000b-\u001f\u007f]+/g, " ")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Australian numbers to E.164 where the format is unambiguous:
+//   0412 345 678 / (02) 9876 5432  -> +61412345678 / +61298765432
+//   61 412 345 678 / 0061 ...      -> +61412345678
+//   +61 (0)412 345 678             -> +61412345678
+// Other international numbers keep their +country prefix; anything else
+// (e.g. an 8-digit local landline) is returned as bare digits.
+export function normalizePhone(value) {
+  const raw = singleLine(value);
+  if (!raw) return "";
+  const plus = raw.startsWith("+");
+  let digits = raw.replace(/\D/g, "");
+  if (!plus && digits.startsWith("0061")) digits = digits.slice(2);
+
+  if (plus || (digits.startsWith("61") && digits.length === 11)) {
+    if (digits.startsWith("610") && digits.length === 12) digits = `61${digits.slice(3)}`;
+    return `+${digits}`;
+  }
+  if (digits.length === 10 && digits.startsWith("0")) return `+61${digits.slice(1)}`;
+  return digits;
+}
+
+function normalizeEmail(value) {
+  const email = singleLine(value).replace(/\s+/g, "");
+  const at = email.lastIndexOf("@");
+  if (at < 0) return email;
+  return `${email.slice(0, at)}@${email.slice(at + 1).toLowerCase()}`;
+}
+
+export function normalizeContactFields(values = {}) {
+  return {
+    name: singleLine(values.name),
+    phone: normalizePhone(values.phone),
+    email: normalizeEmail(values.email),
+    message: multiLine(values.message),
+  };
+}
+
+// Field -> message map, empty when the (normalized) values are valid.
+export function validateContactFields(values = {}) {
+  const { name, phone, email, message } = normalizeContactFields(values);
+  const errors = {};
+  const phoneDigits = phone.replace(/\D/g, "");
+
+  if (!name) errors.name = "Name is required.";
+  else if (name.length > CONTACT_LIMITS.name) {
+    errors.name = `Name must be at most ${CONTACT_LIMITS.name} characters.`;
+  } else if (!/\p{L}/u.test(name) || /https?:\/\/|www\./i.test(name)) {
+    errors.name = "Enter your name.";
+  }
+
+  if (!phone) errors.phone = "Phone is required.";
+  else if (phoneDigits.length < 7 || phoneDigits.length > 15) {
+    errors.phone = "Enter a valid phone number.";
+  }
+
+  if (!email) errors.email = "Email is required.";
+  else if (email.length > CONTACT_LIMITS.email || !EMAIL_PATTERN.test(email)) {
+    errors.email = "Enter a valid email address.";
+  }
+
+  if (!message) errors.message = "How Can We Help? is required.";
+  else if (message.length > CONTACT_LIMITS.message) {
+    errors.message = `How Can We Help? must be at most ${CONTACT_LIMITS.message} characters.`;
+  }
+
+  return errors;
+}
+
+function dimensionValues(values) {
+  const out = {};
+  for (const key of ["lengthMm", "widthMm", "minHeightMm", "maxHeightMm"]) {
+    const n = Number(values[key]);
+    if (Number.isFinite(n) && n > 0) out[key] = Math.round(n);
+  }
+  return out;
+}
+
+// Context for a submission from the widget state: `messages` as rendered and
+// the parsed deck values (mm). Returns null when there is nothing to attach.
+export function buildContactContext({ messages, deck } = {}) {
+  const transcript = (messages || [])
+    .filter((m) => (m.role === "user" || m.role === "bot") && String(m.text || "").trim())
+    .slice(-CONTACT_LIMITS.contextMessages)
+    .map((m) => ({ role: m.role, text: String(m.text).trim().slice(0, CONTACT_LIMITS.contextMessageLength) }));
+
+  const values = deck || {};
+  const deckValues = dimensionValues(values);
+  if (DECK_CONFIGS[values.deckConfig]) deckValues.deckConfig = values.deckConfig;
+  if (JOIST_CONFIGS[values.joistConfig]) deckValues.joistConfig = values.joistConfig;
+  const sections = (values.sections || [])
+    .slice(0, DECK_LIMITS.maxSections - 1)
+    .filter((s) => SECTION_NAMES.includes(s?.name))
+    .map((s) => ({
+      name: s.name,
+      ...dimensionValues(s),
+      ...(SECTION_NAMES.includes(s.attachedTo) ? { attachedTo: s.attachedTo } : {}),
+      ...(DECK_SIDES[s.side] ? { side: s.side } : {}),
+    }));
+  if (sections.length > 0) deckValues.sections = sections;
+
+  const context = {};
+  if (transcript.length > 0) context.transcript = transcript;
+  if (Object.keys(deckValues).length > 0) context.deck = deckValues;
+  return Object.keys(context).length > 0 ? context : null;
+}
+
+// Plain-text rendering of a context for email templates and CRM notes.
+export function formatContactContext(context) {
+  const lines = [];
+  if (context?.deck) {
+    lines.push("Deck details:");
+    for (const line of describeDeckSpec(context.deck)) lines.push(`- ${line}`);
+  }
+  if (context?.transcript?.length) {
+    if (lines.length > 0) lines.push("");
+    lines.push("Conversation:");
+    for (const m of context.transcript) {
+      lines.push(`${m.role === "user" ? "Customer" : "Assistant"}: ${m.text}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Parse, validate and normalize a raw /api/contact body.
+// Returns { ok: true, payload, signals } or { ok: false, status, body } for a
+// 4xx reply. `signals` holds the spam-check fields kept out of the payload.
+export function readContactPayload(bodyText) {
+  if (new TextEncoder().encode(bodyText).length > CONTACT_LIMITS.maxBodyBytes) {
+    return {
+      ok: false,
+      status: 413,
+      body: { error: "Request body is too large", code: "payload_too_large" },
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(bodyText);
+  } catch {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "Request body must be valid JSON", code: "invalid_json" },
+    };
+  }
+
+  let fields = validate(contactPayloadSchema, body);
+  if (Object.keys(fields).length === 0) fields = validateContactFields(body);
+  if (Object.keys(fields).length > 0) {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "Invalid request", code: "invalid_request", fields },
+    };
+  }
+
+  const payload = normalizeContactFields(body);
+  if (body.sessionId) payload.sessionId = body.sessionId;
+  const context = body.context
+    ? buildContactContext({ messages: body.context.transcript, deck: body.context.deck })
+    : null;
+  if (context) {
+    payload.context = context;
+    payload.contextText = formatContactContext(context);
+  }
+  if (body.callback) {
+    let slot;
+    try {
+      slot = resolveCallbackSlot(body.callback.start);
+    } catch {
+      slot = { ok: false, message: "Callbacks are not available right now." };
+    }
+    if (!slot.ok) {
+      return {
+        ok: false,
+        status: 400,
+        body: { error: "Invalid request", code: "invalid_request", fields: { callback: slot.message } },
+      };
+    }
+    payload.callback = slot.callback;
+  }
+  const signals = {
+    honeypot: body.website || "",
+    elapsedMs: body.elapsedMs,
+    challengeToken: body.challengeToken || "",
+  };
+  return { ok: true, payload, signals };
+}
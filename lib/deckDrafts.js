@@ -0,0 +1,107 @@
+import { DECK_FORM_FIELDS, DECK_LIMITS, validateDeckSpec } from "./deckSpec";
+
+// Deck details kept in the browser's localStorage, one store per site:
+//   - draft: the deck form as typed, restored when the deck panel opens again
+//   - saved: specs the user submitted, newest first, to reopen, edit or copy
+// Nothing here is sent anywhere. `forgetDeckStore` removes the lot.
+//
+// Stored as { version, draft: { form, editing } | null, saved: [{ id, spec, savedAt }] }
+
+const STORE_VERSION = 1;
+
+export const DECK_STORE_LIMITS = { maxSaved: 10 };
+
+const EMPTY_STORE = { draft: null, saved: [] };
+
+// window.localStorage, or null when it's unavailable (server render, storage
+// blocked by the browser)
+function browserStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+export function deckStoreKey(site) {
+  return `spanmor-deck:${site}`;
+}
+
+// Only the form fields, as strings; anything else in storage is dropped
+function cleanForm(form) {
+  if (!form || typeof form !== "object") return null;
+  const clean = {};
+  for (const field of DECK_FORM_FIELDS) clean[field] = String(form[field] ?? "");
+  const sections = Array.isArray(form.sections) ? form.sections : [];
+  clean.sections = sections
+    .filter((s) => s && typeof s === "object" && typeof s.id === "string")
+    .slice(0, DECK_LIMITS.maxSections - 1)
+    .map((s) => ({
+      id: s.id,
+      length: String(s.length ?? ""),
+      width: String(s.width ?? ""),
+      minHeight: String(s.minHeight ?? ""),
+      maxHeight: String(s.maxHeight ?? ""),
+      attachTo: String(s.attachTo ?? "main"),
+      side: String(s.side ?? "east"),
+    }));
+  return clean;
+}
+
+// The stored { draft, saved } for `site`; an empty store when there is none
+// or it can't be read
+export function loadDeckStore(site, storage = browserStorage()) {
+  let data;
+  try {
+    data = JSON.parse(storage?.getItem(deckStoreKey(site)) || "null");
+  } catch {
+    return EMPTY_STORE;
+  }
+  if (!data || data.version !== STORE_VERSION) return EMPTY_STORE;
+
+  const form = cleanForm(data.draft?.form);
+  const saved = (Array.isArray(data.saved) ? data.saved : [])
+    .filter(
+      (entry) =>
+        entry &&
+        typeof entry.id === "string" &&
+        entry.spec &&
+        Object.keys(validateDeckSpec(entry.spec)).length === 0
+    )
+    .slice(0, DECK_STORE_LIMITS.maxSaved)
+    .map(({ id, spec, savedAt }) => ({ id, spec, savedAt: Number(savedAt) || 0 }));
+  return {
+    draft: form ? { form, editing: typeof data.draft.editing === "string" ? data.draft.editing : null } : null,
+    saved,
+  };
+}
+
+// Write the store, or remove it when there is nothing left to keep.
+// Returns false when storage is unavailable or full.
+export function saveDeckStore(site, { draft = null, saved = [] }, storage = browserStorage()) {
+  if (!storage) return false;
+  try {
+    if (!draft && saved.length === 0) {
+      storage.removeItem(deckStoreKey(site));
+    } else {
+      storage.setItem(deckStoreKey(site), JSON.stringify({ version: STORE_VERSION, draft, saved }));
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function forgetDeckStore(site, storage = browserStorage()) {
+  try {
+    storage?.removeItem(deckStoreKey(site));
+  } catch {
+    // Nothing stored, or storage blocked
+  }
+}
+
+// `saved` with `spec` added at the top, or replacing entry `id` when editing
+export function withSavedSpec(saved, spec, { id = null, now = Date.now() } = {}) {
+  const entry = { id: id || `d${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`, spec, savedAt: now };
+  return [entry, ...saved.filter((s) => s.id !== entry.id)].slice(0, DECK_STORE_LIMITS.maxSaved);
+}
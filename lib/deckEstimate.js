@@ -0,0 +1,152 @@
+// Indicative bill of materials and price band for a deck subframe, computed
+// in the widget from a valid deck spec (lib/deckSpec.js). It is a rough
+// layout for a preview only: the Spanmor Deck Calculator and our engineers
+// size the real thing.
+//
+// Layout: bearers run along the length, joists across the width.
+//   - bearer rows: enough that no joist spans more than `maxJoistSpanMm`;
+//     on a wall-mounted deck the row against the wall is a ledger, not piers
+//   - piers: along each bearer row, no more than `maxBearerSpanMm` apart
+//   - joists: at `joistSpacingMm` centres, plus one at each end
+//   - flush finish joists sit between bearers on hangers; over the top
+//     joists run full width on brackets
+// Post length is the average of the minimum and maximum heights.
+//
+// Extra sections (L-shaped and stepped decks) are laid out the same way, as
+// free-standing rectangles, and added up. Only section A has the ledger.
+
+// Layout rules and AUD prices (ex GST). Override any of them with the
+// widget's `estimate.prices` config.
+export const DEFAULT_PRICE_TABLE = {
+  currency: "AUD",
+  maxJoistSpanMm: 1800,
+  maxBearerSpanMm: 1800,
+  joistSpacingMm: 450,
+  bearerPerMetre: 32,
+  joistPerMetre: 18,
+  ledgerPerMetre: 24,
+  postPerMetre: 28,
+  footingEach: 45,
+  pierBracketEach: 14,
+  joistHangerEach: 6,
+  joistBracketEach: 4,
+  // Price band either side of the computed total
+  spread: 0.15,
+  // Rounded to this many dollars
+  roundTo: 50,
+};
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+// Quantities, cost and spans of one rectangular section
+// ({ lengthMm, widthMm, minHeightMm, maxHeightMm }).
+export function estimateSection(section, { wallMounted = false, flush = false } = {}, t = DEFAULT_PRICE_TABLE) {
+  const length = Number(section.lengthMm);
+  const width = Number(section.widthMm);
+  const postLength = (Number(section.minHeightMm) + Number(section.maxHeightMm)) / 2;
+
+  const rows = Math.ceil(width / t.maxJoistSpanMm) + 1;
+  const pierRows = wallMounted ? rows - 1 : rows;
+  const piersPerRow = Math.ceil(length / t.maxBearerSpanMm) + 1;
+  const piers = pierRows * piersPerRow;
+  const joists = Math.ceil(length / t.joistSpacingMm) + 1;
+  // Flush joists hang in each bay between rows; over the top joists sit on
+  // every row
+  const hangers = flush ? joists * (rows - 1) * 2 : 0;
+  const brackets = flush ? 0 : joists * rows;
+
+  const counts = {
+    bearers: { quantity: pierRows, metres: (pierRows * length) / 1000 },
+    joists: { quantity: joists, metres: (joists * width) / 1000 },
+    ledger: wallMounted ? { quantity: 1, metres: length / 1000 } : null,
+    piers: { quantity: piers, metres: (piers * postLength) / 1000 },
+    hangers: flush ? { quantity: hangers } : null,
+    brackets: flush ? null : { quantity: brackets },
+  };
+  const total =
+    counts.bearers.metres * t.bearerPerMetre +
+    counts.joists.metres * t.joistPerMetre +
+    (counts.ledger?.metres || 0) * t.ledgerPerMetre +
+    counts.piers.metres * t.postPerMetre +
+    piers * (t.footingEach + t.pierBracketEach) +
+    hangers * t.joistHangerEach +
+    brackets * t.joistBracketEach;
+
+  return {
+    counts,
+    total,
+    postLength,
+    spans: {
+      joistMm: Math.round(width / (rows - 1)),
+      bearerMm: Math.round(length / (piersPerRow - 1)),
+    },
+  };
+}
+
+const MATERIAL_LABELS = {
+  bearers: "Bearers",
+  joists: "Joists",
+  ledger: "Wall ledger",
+  piers: "Piers and footings",
+  hangers: "Joist hangers",
+  brackets: "Joist brackets",
+};
+
+// Estimate for a valid spec. Returns
+// { materials: [{ key, label, quantity, unit }], spans: { joistMm, bearerMm },
+//   areaM2, price: { low, high, currency } }
+// With several sections, quantities are totals and spans the largest.
+export function estimateDeck(spec, prices = {}) {
+  const t = { ...DEFAULT_PRICE_TABLE, ...(prices || {}) };
+  const flush = spec.joistConfig === "flushfinish";
+  const sections = [spec, ...(spec.sections || [])];
+  const parts = sections.map((section, i) =>
+    estimateSection(section, { wallMounted: i === 0 && spec.deckConfig === "wallMounted", flush }, t)
+  );
+
+  const metres = (n) => `${n.toFixed(2)} m`;
+  let materials;
+  if (parts.length === 1) {
+    const [{ counts, postLength }] = parts;
+    const length = metres(spec.lengthMm / 1000);
+    const width = metres(spec.widthMm / 1000);
+    const units = {
+      bearers: `× ${length}`,
+      joists: `× ${width}`,
+      ledger: `× ${length}`,
+      piers: `× ${Math.round(postLength)} mm posts`,
+    };
+    materials = Object.entries(counts)
+      .filter(([, c]) => c)
+      .map(([key, c]) => ({ key, label: MATERIAL_LABELS[key], quantity: c.quantity, unit: units[key] || "" }));
+  } else {
+    materials = Object.keys(MATERIAL_LABELS)
+      .map((key) => {
+        const found = parts.map((p) => p.counts[key]).filter(Boolean);
+        if (found.length === 0) return null;
+        const quantity = found.reduce((sum, c) => sum + c.quantity, 0);
+        const total = found.reduce((sum, c) => sum + (c.metres || 0), 0);
+        const unit = key === "piers" ? `(${metres(total)} of posts)` : total ? `(${metres(total)} in total)` : "";
+        return { key, label: MATERIAL_LABELS[key], quantity, unit };
+      })
+      .filter(Boolean);
+  }
+
+  const total = parts.reduce((sum, p) => sum + p.total, 0);
+  const area = sections.reduce((sum, s) => sum + s.lengthMm * s.widthMm, 0);
+  return {
+    materials,
+    spans: {
+      joistMm: Math.max(...parts.map((p) => p.spans.joistMm)),
+      bearerMm: Math.max(...parts.map((p) => p.spans.bearerMm)),
+    },
+    areaM2: Number((area / 1e6).toFixed(2)),
+    price: {
+      low: Math.max(t.roundTo, roundTo(total * (1 - t.spread), t.roundTo)),
+      high: roundTo(total * (1 + t.spread), t.roundTo),
+      currency: t.currency,
+    },
+  };
+}
@@ -0,0 +1,178 @@
+import {
+  DECK_CONFIGS,
+  DECK_RANGES,
+  DIMENSION_FIELDS,
+  JOIST_CONFIGS,
+  UNIT_FACTORS,
+  deckFormFromSpec,
+  deckSpecFromUrl,
+  parseDimensionParts,
+} from "./deckSpec";
+
+// Deck details typed into the chat, e.g. "my deck is 5.4m by 3m, about 600 to
+// 900mm off the ground, against the house". The widget uses what is found to
+// prefill the deck form; the user still checks and completes it there.
+//
+// Numbers without a unit are read the way people write them: small sizes are
+// metres ("5.4 by 3"), larger ones mm ("5400 x 3000"). The same goes for
+// heights, with a lower cut-off ("0.6 to 0.9" vs "600 to 900"). Values with
+// units, including feet and inches marks (12' 6"), are read by
+// parseDimension. Anything outside DECK_RANGES is dropped, so timber sizes
+// like "90 x 45" aren't taken for a deck.
+//
+// deckDetailsFromUrl does the same for a page link carrying Deck Calculator
+// parameters.
+
+const NUMBER = "(?:\\d+(?:\\.\\d+)?|\\.\\d+)";
+const UNIT = "(?:mm|millimet(?:er|re)s?|cm|centimet(?:er|re)s?|m|met(?:er|re)s?|in|inch(?:es)?)(?![a-z])|\"";
+const FEET = "(?:ft|feet|foot)(?![a-z])|'";
+// One measurement, captured whole: "5.4", "3m", "12'", "12 ft 6 in", "12' 6\""
+const MEASURE = `(${NUMBER}\\s*(?:(?:${FEET})(?:\\s*${NUMBER}\\s*(?:in(?:ch(?:es)?)?(?![a-z])|"))?|${UNIT})?)`;
+const BARE = /^[\d.]+$/;
+
+const SIZE_PATTERN = new RegExp(`${MEASURE}\\s*(?:x|×|\\*|by)\\s*${MEASURE}`, "i");
+const RANGE_PATTERN = new RegExp(`${MEASURE}\\s*(?:to|-|–|and)\\s*${MEASURE}`, "gi");
+const SINGLE_PATTERN = new RegExp(MEASURE, "gi");
+const HEIGHT_WORDS =
+  /\b(off the ground|above (?:the )?ground|from the ground|high|height|tall|clearance|elevat\w*)\b/i;
+
+// Sizes below this (bare) are metres, heights below HEIGHT_METRES_BELOW
+const SIZE_METRES_BELOW = 30;
+const HEIGHT_METRES_BELOW = 10;
+
+const CONFIG_HINTS = [
+  {
+    field: "deckConfig",
+    value: "wallMounted",
+    pattern:
+      /\b(wall[\s-]?mounted|against (?:the|my|our) (?:house|wall|home)|attached to (?:the|my|our) (?:house|wall|home)|off the (?:house|back of the house)|ledger)\b/i,
+  },
+  {
+    field: "deckConfig",
+    value: "freeStanding",
+    pattern: /\b(free[\s-]?standing|stand[\s-]?alone|not attached|independent(?:ly)?|away from the house)\b/i,
+  },
+  { field: "joistConfig", value: "flushfinish", pattern: /\bflush\b/i },
+  {
+    field: "joistConfig",
+    value: "overthetop",
+    pattern: /\b(over the top|on top of the bearers|over the bearers)\b/i,
+  },
+];
+
+// Unit of a measurement with one ("3m" -> "m", "12' 6\"" -> "ft"), else null
+function unitOf(text) {
+  const t = text.trim();
+  return BARE.test(t) ? null : parseDimensionParts(t)?.parts[0].unit ?? null;
+}
+
+// mm for a measurement; a bare number takes `unit`, else the metres rule
+function toMm(text, unit, bareMetresBelow) {
+  const t = text.trim();
+  if (!BARE.test(t)) return parseDimensionParts(t)?.mm ?? null;
+  const n = Number(t);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const key = unit || (n < bareMetresBelow ? "m" : "mm");
+  return Math.round(n * UNIT_FACTORS[key]);
+}
+
+// Two measurements where one unit may be left off ("5.4 by 3m", "600 to 900mm")
+function pair(match, bareMetresBelow) {
+  const first = unitOf(match[1]);
+  const second = unitOf(match[2]);
+  return [toMm(match[1], second, bareMetresBelow), toMm(match[2], first, bareMetresBelow)];
+}
+
+function inRange(mm, field) {
+  const { min, max } = DECK_RANGES[field];
+  return mm != null && mm >= min && mm <= max;
+}
+
+function nearHeightWords(text, index, length) {
+  const around = text.slice(Math.max(0, index - 25), index + length + 30);
+  return HEIGHT_WORDS.test(around);
+}
+
+// Deck details found in a chat message.
+// Returns { values, recognized }: `values` are deck form values (mm as text)
+// for the fields found, `recognized` describes them for the user.
+export function extractDeckDetails(text) {
+  let s = String(text || "")
+    .toLowerCase()
+    // Typographic feet and inches marks
+    .replace(/[′’‘]/g, "'")
+    .replace(/[″”“]/g, '"');
+  const spec = {};
+
+  const size = s.match(SIZE_PATTERN);
+  if (size) {
+    const [a, b] = pair(size, SIZE_METRES_BELOW);
+    // Both sides must fit a deck; the longer one is the length
+    if (inRange(a, "length") && inRange(b, "width")) {
+      spec.lengthMm = Math.max(a, b);
+      spec.widthMm = Math.min(a, b);
+    }
+    s = s.slice(0, size.index) + " " + s.slice(size.index + size[0].length);
+  }
+
+  for (const range of s.matchAll(RANGE_PATTERN)) {
+    if (!nearHeightWords(s, range.index, range[0].length)) continue;
+    const [a, b] = pair(range, HEIGHT_METRES_BELOW);
+    if (inRange(a, "minHeight") && inRange(b, "maxHeight")) {
+      spec.minHeightMm = Math.min(a, b);
+      spec.maxHeightMm = Math.max(a, b);
+      break;
+    }
+  }
+  if (spec.minHeightMm == null) {
+    for (const single of s.matchAll(SINGLE_PATTERN)) {
+      if (!nearHeightWords(s, single.index, single[0].length)) continue;
+      const mm = toMm(single[1], null, HEIGHT_METRES_BELOW);
+      if (inRange(mm, "minHeight")) {
+        spec.minHeightMm = mm;
+        break;
+      }
+    }
+  }
+
+  for (const { field, value, pattern } of CONFIG_HINTS) {
+    if (!spec[field] && pattern.test(s)) spec[field] = value;
+  }
+
+  return detailsFromSpec(spec);
+}
+
+// { values, recognized } for the fields of a partial spec that are set
+function detailsFromSpec(spec) {
+  const values = {};
+  for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+    if (spec[key]) values[field] = String(spec[key]);
+  }
+  if (spec.deckConfig) values.deckConfig = spec.deckConfig;
+  if (spec.joistConfig) values.joistConfig = spec.joistConfig;
+
+  const recognized = [];
+  for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+    if (spec[key]) recognized.push(`${DECK_RANGES[field].label.toLowerCase()} ${spec[key]} mm`);
+  }
+  if (spec.deckConfig) recognized.push(DECK_CONFIGS[spec.deckConfig].label.toLowerCase());
+  if (spec.joistConfig) {
+    recognized.push(`${JOIST_CONFIGS[spec.joistConfig].label.toLowerCase()} joists`);
+  }
+  return { values, recognized };
+}
+
+// Deck details in a link with Deck Calculator parameters, e.g. the page the
+// widget is on. `calculator`: the same overrides as calculatorUrl.
+// Returns { values, recognized } like extractDeckDetails; extra sections
+// come as form sections.
+export function deckDetailsFromUrl(url, calculator) {
+  const spec = deckSpecFromUrl(url, calculator);
+  const details = detailsFromSpec(spec);
+  if (spec.sections?.length) {
+    details.values.sections = deckFormFromSpec(spec).sections;
+    const n = spec.sections.length;
+    details.recognized.push(`${n} more section${n > 1 ? "s" : ""}`);
+  }
+  return details;
+}
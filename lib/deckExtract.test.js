@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { deckDetailsFromUrl, extractDeckDetails } from "./deckExtract";
+
+describe("extractDeckDetails", () => {
+  it("reads size, heights and options from a message", () => {
+    const { values, recognized } = extractDeckDetails(
+      "My deck is 5.4m by 3m, about 600 to 900mm off the ground, against the house, flush"
+    );
+    expect(values).toEqual({
+      length: "5400",
+      width: "3000",
+      minHeight: "600",
+      maxHeight: "900",
+      deckConfig: "wallMounted",
+      joistConfig: "flushfinish",
+    });
+    expect(recognized).toContain("length 5400 mm");
+  });
+
+  it("takes the longer side as the length", () => {
+    expect(extractDeckDetails("3 x 6").values).toMatchObject({ length: "6000", width: "3000" });
+  });
+
+  it.each([
+    ["5.4 by 3", "5400", "3000"],
+    ["5.4 by 3m", "5400", "3000"],
+    ["5400 x 3000", "5400", "3000"],
+    ["4.8x3.6m", "4800", "3600"],
+    ["20ft x 10ft", "6096", "3048"],
+    ["deck is 12' x 10'", "3658", "3048"],
+    ["12’ x 10’", "3658", "3048"],
+    ["12' 6\" by 10'", "3810", "3048"],
+    ["12 ft 6 in x 10 ft", "3810", "3048"],
+  ])("reads the size in %j", (text, length, width) => {
+    expect(extractDeckDetails(text).values).toMatchObject({ length, width });
+  });
+
+  it.each(["Do you sell 90 x 45 joists?", "a 200 x 50 bearer", "is 40 x 2 ok", "an 18\" x 12\" step"])(
+    "ignores sizes that can't be a deck: %j",
+    (text) => {
+      const { values } = extractDeckDetails(text);
+      expect(values.length).toBeUndefined();
+      expect(values.width).toBeUndefined();
+    }
+  );
+
+  it("reads single heights and ranges near height words", () => {
+    expect(extractDeckDetails("it sits 0.6 to 0.9 off the ground").values).toMatchObject({
+      minHeight: "600",
+      maxHeight: "900",
+    });
+    expect(extractDeckDetails("about 2 ft high").values).toMatchObject({ minHeight: "610" });
+    expect(extractDeckDetails("I need 3 boxes").values.minHeight).toBeUndefined();
+  });
+
+  it("ignores heights outside the deck range", () => {
+    expect(extractDeckDetails("the fence is 30 to 50 mm high").values.minHeight).toBeUndefined();
+    expect(extractDeckDetails("a 5m high wall").values.minHeight).toBeUndefined();
+  });
+
+  it("finds nothing in unrelated text", () => {
+    expect(extractDeckDetails("What are your opening hours?")).toEqual({ values: {}, recognized: [] });
+  });
+});
+
+describe("deckDetailsFromUrl", () => {
+  it("reads calculator parameters from a page link", () => {
+    const { values, recognized } = deckDetailsFromUrl(
+      "https://shop.example/deck?length_mm=5400&width_mm=3000&deckconfig=freeStanding"
+    );
+    expect(values).toEqual({ length: "5400", width: "3000", deckConfig: "freeStanding" });
+    expect(recognized).toEqual(["length 5400 mm", "width 3000 mm", "free standing"]);
+  });
+
+  it("adds extra sections as form sections", () => {
+    const { values, recognized } = deckDetailsFromUrl(
+      "?length_mm=5400&section_b_length_mm=2000&section_b_attached_to=a&section_b_side=south"
+    );
+    expect(values.sections).toHaveLength(1);
+    expect(values.sections[0]).toMatchObject({ length: "2000", attachTo: "main", side: "south" });
+    expect(recognized).toContain("1 more section");
+  });
+
+  it("finds nothing without calculator parameters", () => {
+    expect(deckDetailsFromUrl("https://shop.example/")).toEqual({ values: {}, recognized: [] });
+  });
+});
@@ -0,0 +1,217 @@
+import { A4, createPdf } from "./pdf";
+import {
+  DECK_CONFIGS,
+  DECK_SIDES,
+  DEFAULT_CALCULATOR,
+  JOIST_CONFIGS,
+  calculatorSettings,
+  calculatorUrl,
+  layoutDeckSections,
+} from "./deckSpec";
+import { estimateSection } from "./deckEstimate";
+
+// Shareable one-page deck plan for a valid spec, served by /api/deck-plan:
+// the entered details, a plan view with bearers, piers and joist direction,
+// the Deck Calculator link and the chat session reference.
+//
+// Env:
+//   DECK_CALCULATOR   JSON overrides for the Deck Calculator link, the same
+//                     shape as the widget's `calculator` config
+//                     ({ url, params, options }); the route reads the query
+//                     with it too
+
+const MARGIN = 50;
+const INK = [0.15, 0.15, 0.2];
+const MUTED = [0.45, 0.45, 0.5];
+const ACCENT = [0.52, 0.31, 1];
+const LINK = [0.1, 0.35, 0.8];
+
+function formatDate(date) {
+  return new Intl.DateTimeFormat("en-AU", { day: "numeric", month: "long", year: "numeric" }).format(date);
+}
+
+// Split text into lines of at most `max` characters
+function wrap(text, max) {
+  const lines = [];
+  for (let i = 0; i < text.length; i += max) lines.push(text.slice(i, i + max));
+  return lines;
+}
+
+function detailRows(spec) {
+  const deck = DECK_CONFIGS[spec.deckConfig];
+  const joist = JOIST_CONFIGS[spec.joistConfig];
+  const sections = spec.sections || [];
+  const area = [spec, ...sections].reduce((sum, s) => sum + s.lengthMm * s.widthMm, 0);
+  const main = sections.length ? " (A)" : "";
+  return [
+    [`Length${main}`, `${spec.lengthMm} mm`],
+    [`Width${main}`, `${spec.widthMm} mm`],
+    [`Height above ground${main}`, `${spec.minHeightMm} – ${spec.maxHeightMm} mm`],
+    ...sections.map((s) => [
+      `Section ${s.name}`,
+      `${s.lengthMm} x ${s.widthMm} mm, ${s.minHeightMm} – ${s.maxHeightMm} mm high, ` +
+        `${DECK_SIDES[s.side].toLowerCase()} side of ${s.attachedTo}`,
+    ]),
+    ["Area", `${(area / 1e6).toFixed(2)} m²`],
+    ["Deck configuration", `${deck.label} (${deck.description})`],
+    ["Joist configuration", `${joist.label} (${joist.description})`],
+  ];
+}
+
+// Plan view: length across the page, width down it, every section in place
+function drawPlan(pdf, spec, { top, bottom }) {
+  const rects = layoutDeckSections(spec);
+  const minX = Math.min(...rects.map((r) => r.x));
+  const minY = Math.min(...rects.map((r) => r.y));
+  const spanX = Math.max(...rects.map((r) => r.x + r.lengthMm)) - minX;
+  const spanY = Math.max(...rects.map((r) => r.y + r.widthMm)) - minY;
+
+  const areaWidth = A4.width - MARGIN * 2 - 90;
+  const areaHeight = top - bottom - 60;
+  const scale = Math.min(areaWidth / spanX, areaHeight / spanY);
+  const w = spanX * scale;
+  const h = spanY * scale;
+  const x = MARGIN + (areaWidth - w) / 2;
+  const y = bottom + 40 + (areaHeight - h) / 2;
+  const wallMounted = spec.deckConfig === "wallMounted";
+  const flush = spec.joistConfig === "flushfinish";
+  const several = rects.length > 1;
+  // Page position of a point in mm (y grows down in the layout, up on the page)
+  const px = (mm) => x + (mm - minX) * scale;
+  const py = (mm) => y + h - (mm - minY) * scale;
+
+  pdf.text(MARGIN, top, "Plan view", { size: 13, bold: true, color: INK });
+
+  const spans = [];
+  rects.forEach((rect, i) => {
+    const ledger = wallMounted && i === 0;
+    const { spans: s } = estimateSection(rect, { wallMounted: ledger, flush });
+    spans.push(s);
+    const left = px(rect.x);
+    const topEdge = py(rect.y);
+    const rw = rect.lengthMm * scale;
+    const rh = rect.widthMm * scale;
+    pdf.rect(left, topEdge - rh, rw, rh, { stroke: INK, fill: [0.96, 0.95, 1], width: 1.5 });
+
+    // Bearer rows run along the length, spaced by the joist span. The top
+    // edge of section A is the house wall (a ledger) on a wall-mounted deck.
+    const rows = Math.round(rect.widthMm / s.joistMm) + 1;
+    const piersPerRow = Math.round(rect.lengthMm / s.bearerMm) + 1;
+    for (let r = 0; r < rows; r += 1) {
+      const rowY = topEdge - r * s.joistMm * scale;
+      const isLedger = ledger && r === 0;
+      pdf.line(left, rowY, left + rw, rowY, {
+        width: isLedger ? 4 : 1,
+        color: isLedger ? MUTED : ACCENT,
+        dash: isLedger ? null : [4, 3],
+      });
+      if (isLedger) continue;
+      for (let p = 0; p < piersPerRow; p += 1) {
+        const pierX = left + p * s.bearerMm * scale;
+        pdf.rect(pierX - 3, rowY - 3, 6, 6, { stroke: null, fill: INK });
+      }
+    }
+    if (ledger) {
+      pdf.text(left + rw / 2, topEdge + 8, "House wall (ledger)", { size: 9, color: MUTED, align: "center" });
+    }
+    if (several) {
+      pdf.text(left + 8, topEdge - rh + 8, `${rect.name}  ${rect.lengthMm} x ${rect.widthMm} mm`, {
+        size: 9,
+        bold: true,
+        color: INK,
+      });
+    }
+  });
+
+  // Joist direction: across the bearers of section A
+  const a = rects[0];
+  const arrowX = px(a.x) + (a.lengthMm * scale) / 2;
+  const aTop = py(a.y);
+  const aBottom = aTop - a.widthMm * scale;
+  pdf.line(arrowX, aBottom + 8, arrowX, aTop - 8, { color: MUTED, width: 0.75 });
+  pdf.line(arrowX - 4, aTop - 16, arrowX, aTop - 8, { color: MUTED, width: 0.75 });
+  pdf.line(arrowX + 4, aTop - 16, arrowX, aTop - 8, { color: MUTED, width: 0.75 });
+  pdf.text(arrowX + 6, aTop - (aTop - aBottom) * 0.2, "joists", { size: 9, color: MUTED });
+
+  // Overall dimension lines
+  pdf.line(x, y - 18, x + w, y - 18, { color: INK, width: 0.75 });
+  pdf.line(x, y - 23, x, y - 13, { color: INK, width: 0.75 });
+  pdf.line(x + w, y - 23, x + w, y - 13, { color: INK, width: 0.75 });
+  pdf.text(x + w / 2, y - 32, `${spanX} mm`, { size: 10, align: "center", color: INK });
+  pdf.line(x + w + 18, y, x + w + 18, y + h, { color: INK, width: 0.75 });
+  pdf.line(x + w + 13, y, x + w + 23, y, { color: INK, width: 0.75 });
+  pdf.line(x + w + 13, y + h, x + w + 23, y + h, { color: INK, width: 0.75 });
+  pdf.text(x + w + 28, y + h / 2 - 4, `${spanY} mm`, { size: 10, color: INK });
+
+  const joistSpan = Math.max(...spans.map((s) => s.joistMm));
+  const bearerSpan = Math.max(...spans.map((s) => s.bearerMm));
+  pdf.text(
+    MARGIN,
+    bottom,
+    `Dashed lines: bearers, up to ${joistSpan} mm apart. Squares: piers, up to ${bearerSpan} mm apart. Indicative layout only.`,
+    { size: 8, color: MUTED }
+  );
+}
+
+// Calculator overrides from DECK_CALCULATOR; throws when it isn't valid JSON
+export function getCalculatorConfig() {
+  const raw = process.env.DECK_CALCULATOR;
+  if (!raw) return DEFAULT_CALCULATOR;
+  const config = JSON.parse(raw);
+  if (!config || typeof config !== "object") throw new Error("DECK_CALCULATOR must be a JSON object");
+  return calculatorSettings(config);
+}
+
+// The PDF as a Buffer
+// `calculator`: overrides for the Deck Calculator link (DEFAULT_CALCULATOR)
+export function deckPlanPdf({ spec, sessionId = "", calculator, now = new Date() }) {
+  const link = calculatorUrl(spec, calculator);
+  const pdf = createPdf({ title: `Spanmor deck plan ${spec.lengthMm} x ${spec.widthMm} mm` }).addPage();
+  let y = A4.height - MARGIN - 10;
+
+  pdf.text(MARGIN, y, "Spanmor deck plan", { size: 22, bold: true, color: ACCENT });
+  y -= 20;
+  pdf.text(MARGIN, y, `Generated ${formatDate(now)}`, { size: 10, color: MUTED });
+  if (sessionId) {
+    pdf.text(A4.width - MARGIN, y, `Reference: ${sessionId}`, { size: 10, color: MUTED, align: "right" });
+  }
+  y -= 16;
+  pdf.line(MARGIN, y, A4.width - MARGIN, y, { color: [0.85, 0.85, 0.9] });
+
+  y -= 28;
+  pdf.text(MARGIN, y, "Deck details", { size: 13, bold: true, color: INK });
+  y -= 8;
+  for (const [label, value] of detailRows(spec)) {
+    y -= 18;
+    pdf.text(MARGIN, y, label, { size: 10, color: MUTED });
+    pdf.text(MARGIN + 140, y, value, { size: 11, color: INK });
+  }
+
+  y -= 36;
+  // Leave room below the plan for the link, which grows with the sections
+  const urlLines = wrap(link, 100);
+  const planBottom = 125 + urlLines.length * 13;
+  drawPlan(pdf, spec, { top: y, bottom: planBottom });
+
+  y = planBottom - 36;
+  pdf.text(MARGIN, y, "Deck Calculator", { size: 13, bold: true, color: INK });
+  y -= 18;
+  pdf.text(MARGIN, y, "Open these details in the Spanmor Deck Calculator for the engineered design:", {
+    size: 10,
+    color: INK,
+  });
+  const linkTop = y - 6;
+  for (const line of urlLines) {
+    y -= 13;
+    pdf.text(MARGIN, y, line, { size: 8.5, color: LINK });
+  }
+  pdf.link(MARGIN, y - 3, A4.width - MARGIN * 2, linkTop - y + 3, link);
+
+  pdf.text(
+    MARGIN,
+    MARGIN,
+    "This plan records the details entered in the Spanmor chat. It is not an engineered design.",
+    { size: 8, color: MUTED }
+  );
+  return pdf.toBuffer();
+}
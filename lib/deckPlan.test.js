@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { deckPlanPdf, getCalculatorConfig } from "./deckPlan";
+import { DEFAULT_CALCULATOR } from "./deckSpec";
+
+const SPEC = {
+  lengthMm: 6000,
+  widthMm: 3000,
+  minHeightMm: 300,
+  maxHeightMm: 600,
+  deckConfig: "freeStanding",
+  joistConfig: "overthetop",
+};
+
+describe("getCalculatorConfig", () => {
+  afterEach(() => {
+    delete process.env.DECK_CALCULATOR;
+  });
+
+  it("uses the default calculator when DECK_CALCULATOR is unset", () => {
+    expect(getCalculatorConfig()).toBe(DEFAULT_CALCULATOR);
+  });
+
+  it("reads overrides from DECK_CALCULATOR", () => {
+    process.env.DECK_CALCULATOR = JSON.stringify({ url: "https://calc.example.com/", params: { lengthMm: "L" } });
+    const config = getCalculatorConfig();
+    expect(config.url).toBe("https://calc.example.com/");
+    expect(config.params.lengthMm).toBe("L");
+    expect(config.params.widthMm).toBe("width_mm");
+  });
+
+  it("throws on invalid JSON", () => {
+    process.env.DECK_CALCULATOR = "{oops";
+    expect(() => getCalculatorConfig()).toThrow();
+    process.env.DECK_CALCULATOR = "3";
+    expect(() => getCalculatorConfig()).toThrow();
+  });
+});
+
+describe("deckPlanPdf", () => {
+  it("links to the configured calculator", () => {
+    const pdf = deckPlanPdf({
+      spec: SPEC,
+      sessionId: "abc",
+      calculator: { url: "https://calc.example.com/", params: { lengthMm: "L" } },
+      now: new Date("2026-10-19T00:00:00Z"),
+    }).toString("latin1");
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf).toContain("/URI (https://calc.example.com/?L=6000&width_mm=3000");
+    expect(pdf).toContain("Reference: abc");
+  });
+});
@@ -0,0 +1,561 @@
+// Deck quote domain: what a deck spec is, how the widget's free-text fields
+// are parsed into it, which specs are valid, and how a spec travels to the
+// Spanmor Deck Calculator. Shared by the widget and the server routes.
+//
+// A deck spec (all dimensions in mm):
+//   { lengthMm, widthMm, minHeightMm, maxHeightMm, deckConfig, joistConfig,
+//     sections? }
+// The deck form holds the raw text the user typed, keyed by field:
+//   { length, width, minHeight, maxHeight, deckConfig, joistConfig, sections }
+// Errors are keyed by form field so the widget can show them in place.
+//
+// L-shaped and stepped decks have extra sections. The top-level dimensions
+// are section A (the main one, against the house when wall mounted); each
+// further section is its own rectangle with its own heights, attached to an
+// earlier section on one side. Sections are named by position: B, C, ...
+//   spec:  sections: [{ name, lengthMm, widthMm, minHeightMm, maxHeightMm,
+//                       attachedTo, side }]
+//   form:  sections: [{ id, length, width, minHeight, maxHeight, attachTo, side }]
+// In the form `attachTo` is "main" or another section's id, so names can
+// shift when a section is removed. Section errors are keyed
+// "sections.<index>.<field>". Length runs east-west, width north-south; on a
+// wall-mounted deck the house is along the north side of A.
+
+export const DECK_FORM_FIELDS = ["length", "width", "minHeight", "maxHeight", "deckConfig", "joistConfig"];
+
+export const EMPTY_DECK_FORM = Object.freeze({
+  ...Object.fromEntries(DECK_FORM_FIELDS.map((field) => [field, ""])),
+  sections: Object.freeze([]),
+});
+
+// Section A plus up to four attached sections
+export const DECK_LIMITS = { maxSections: 5 };
+
+export const DECK_SIDES = { north: "North", east: "East", south: "South", west: "West" };
+
+const OPPOSITE_SIDE = { north: "south", south: "north", east: "west", west: "east" };
+
+// Section name by position: 0 -> "A" (the main section), 1 -> "B", ...
+export function sectionName(index) {
+  return String.fromCharCode(65 + index);
+}
+
+let sectionIds = 0;
+
+// A blank extra section for the form, attached to the last one
+export function newDeckSection(sections = []) {
+  sectionIds += 1;
+  return {
+    id: `s${Date.now().toString(36)}${sectionIds}`,
+    length: "",
+    width: "",
+    minHeight: "",
+    maxHeight: "",
+    attachTo: sections.length > 0 ? sections[sections.length - 1].id : "main",
+    side: "east",
+  };
+}
+
+// Form field -> spec key, for the four dimensions
+export const DIMENSION_FIELDS = {
+  length: "lengthMm",
+  width: "widthMm",
+  minHeight: "minHeightMm",
+  maxHeight: "maxHeightMm",
+};
+
+export const DECK_RANGES = {
+  length: { min: 1000, max: 9000, label: "Length" },
+  width: { min: 1000, max: 9000, label: "Width" },
+  minHeight: { min: 125, max: 2800, label: "Minimum height" },
+  maxHeight: { min: 125, max: 2800, label: "Maximum height" },
+};
+
+export const DECK_CONFIGS = {
+  freeStanding: { label: "Free standing", description: "independent from wall structures" },
+  wallMounted: { label: "Wall mounted", description: "attached to an existing wall" },
+};
+
+export const JOIST_CONFIGS = {
+  flushfinish: { label: "Flush finish", description: "joists aligned with bearer top" },
+  overthetop: { label: "Over the top", description: "joists mounted over the bearers" },
+};
+
+export const UNIT_FACTORS = {
+  mm: 1,
+  cm: 10,
+  m: 1000,
+  in: 25.4,
+  ft: 304.8,
+};
+
+export const CALCULATOR_URL = "https://calculator.spanmor.com.au/";
+
+// Deck Calculator hand-off: the base URL, the query parameter for each spec
+// key and the calculator's value for each deck and joist option. Section
+// parameters are templates where "{name}" is the section's letter, lower
+// case. The widget's `calculator` config overrides any part of it (see
+// calculatorSettings).
+export const DEFAULT_CALCULATOR = {
+  url: CALCULATOR_URL,
+  params: {
+    lengthMm: "length_mm",
+    widthMm: "width_mm",
+    minHeightMm: "min_height_mm",
+    maxHeightMm: "max_height_mm",
+    deckConfig: "deckconfig",
+    joistConfig: "joistconfig",
+    sections: {
+      lengthMm: "section_{name}_length_mm",
+      widthMm: "section_{name}_width_mm",
+      minHeightMm: "section_{name}_min_height_mm",
+      maxHeightMm: "section_{name}_max_height_mm",
+      attachedTo: "section_{name}_attached_to",
+      side: "section_{name}_side",
+    },
+  },
+  options: {
+    deckConfig: { freeStanding: "freeStanding", wallMounted: "wallMounted" },
+    joistConfig: { flushfinish: "flushfinish", overthetop: "overthetop" },
+  },
+};
+
+const UNIT_ALIASES = {
+  mm: "mm",
+  millimeter: "mm",
+  millimeters: "mm",
+  millimetre: "mm",
+  millimetres: "mm",
+  cm: "cm",
+  centimeter: "cm",
+  centimeters: "cm",
+  centimetre: "cm",
+  centimetres: "cm",
+  m: "m",
+  meter: "m",
+  meters: "m",
+  metre: "m",
+  metres: "m",
+  in: "in",
+  inch: "in",
+  inches: "in",
+  '"': "in",
+  ft: "ft",
+  foot: "ft",
+  feet: "ft",
+  "'": "ft",
+};
+
+// Order units must appear in within a compound value ("5m 200mm", "12ft 6in")
+const UNIT_ORDER = ["m", "cm", "mm", "ft", "in"];
+const IMPERIAL = new Set(["ft", "in"]);
+
+// amount: "5", "5.5", ".5", "1/2", "5 1/2", "5-1/2"; then an optional "k"
+// (thousands) and unit
+const PART_PATTERN =
+  /^(\d+(?:\.\d+)?(?![\d/])|\.\d+)?(?:(?:\s+|-)?(\d+)\/(\d+))?\s*(k(?![a-z]))?\s*([a-z]+|'|")?\s*/;
+
+function normalizeDimensionText(value) {
+  return (
+    String(value ?? "")
+      .trim()
+      .toLowerCase()
+      // Typographic primes and quotes
+      .replace(/[′’‘`´]/g, "'")
+      .replace(/[″”“]|''/g, '"')
+      // "1,200" thousands separator, "3,6" decimal comma
+      .replace(/(\d),(\d{3})(?!\d)/g, "$1$2")
+      .replace(/(\d),(\d+)/g, "$1.$2")
+  );
+}
+
+// Parse a length into its parts and whole mm.
+// Returns { mm, parts: [{ amount, unit, thousands }] } or null when unreadable.
+// Accepts "3200", "6m", "3,6 m", "5m 200mm", "12' 6\"", "12ft 6in",
+// "5 1/2 ft" and "1.2k" (1200 mm). A bare number is mm, except after feet
+// where it is inches ("12' 6"). A fraction needs a unit ("3/4" alone is
+// rejected) unless it follows feet. Rounding to mm happens once, on the total.
+export function parseDimensionParts(value) {
+  let rest = normalizeDimensionText(value);
+  if (!rest) return null;
+
+  const parts = [];
+  while (rest) {
+    const match = rest.match(PART_PATTERN);
+    if (!match || !match[0] || (!match[1] && !match[2])) return null;
+    const [, whole, num, den, thousands, unitText] = match;
+    let amount = Number(whole || 0);
+    if (num) {
+      if (!Number(den)) return null;
+      amount += Number(num) / Number(den);
+    }
+    if (thousands) amount *= 1000;
+
+    let unit = unitText ? UNIT_ALIASES[unitText] : null;
+    if (unitText && !unit) return null;
+    if (!unit) {
+      const previous = parts[parts.length - 1];
+      unit = previous?.unit === "ft" ? "in" : previous || num ? null : "mm";
+      if (!unit) return null;
+    }
+    parts.push({ amount, unit, thousands: Boolean(thousands) });
+    rest = rest.slice(match[0].length);
+  }
+
+  for (let i = 1; i < parts.length; i += 1) {
+    const [a, b] = [parts[i - 1].unit, parts[i].unit];
+    if (IMPERIAL.has(a) !== IMPERIAL.has(b)) return null;
+    if (UNIT_ORDER.indexOf(b) <= UNIT_ORDER.indexOf(a)) return null;
+  }
+
+  const total = parts.reduce((sum, p) => sum + p.amount * UNIT_FACTORS[p.unit], 0);
+  if (!Number.isFinite(total) || total <= 0) return null;
+  return { mm: Math.round(total), parts };
+}
+
+// Whole mm for a length, or null when unreadable (see parseDimensionParts)
+export function parseDimension(value) {
+  return parseDimensionParts(value)?.mm ?? null;
+}
+
+// How a length was read, for the form's hint: "12 ft 6 in = 3810 mm",
+// "1.2k = 1200 mm", "3200 mm". Empty when unreadable.
+export function dimensionPreview(value) {
+  const parsed = parseDimensionParts(value);
+  if (!parsed) return "";
+  const { mm, parts } = parsed;
+  const [first] = parts;
+  if (parts.length === 1 && first.unit === "mm" && first.amount === mm && !first.thousands) return `${mm} mm`;
+  const read = parts
+    .map((p) =>
+      p.thousands
+        ? `${Number((p.amount / 1000).toFixed(3))}k${p.unit === "mm" ? "" : ` ${p.unit}`}`
+        : `${Number(p.amount.toFixed(3))} ${p.unit}`
+    )
+    .join(" ");
+  return `${read} = ${mm} mm`;
+}
+
+export function isDeckFormEmpty(values) {
+  return (
+    DECK_FORM_FIELDS.every((field) => !String(values?.[field] ?? "").trim()) &&
+    !values?.sections?.length
+  );
+}
+
+// Deck form -> spec; unreadable dimensions and unknown options become null.
+// `sections` is only present when the deck has more than one.
+export function deckSpecFromForm(values = {}) {
+  const spec = {};
+  for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+    spec[key] = parseDimension(values[field]);
+  }
+  spec.deckConfig = DECK_CONFIGS[values.deckConfig] ? values.deckConfig : null;
+  spec.joistConfig = JOIST_CONFIGS[values.joistConfig] ? values.joistConfig : null;
+
+  const sections = values.sections || [];
+  if (sections.length > 0) {
+    const nameOf = (id) => {
+      if (id === "main") return "A";
+      const index = sections.findIndex((s) => s.id === id);
+      return index >= 0 ? sectionName(index + 1) : null;
+    };
+    spec.sections = sections.map((section, i) => {
+      const out = { name: sectionName(i + 1) };
+      for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+        out[key] = parseDimension(section[field]);
+      }
+      out.attachedTo = nameOf(section.attachTo);
+      out.side = DECK_SIDES[section.side] ? section.side : null;
+      return out;
+    });
+  }
+  return spec;
+}
+
+// Dimension rules shared by section A and the extra sections.
+// Adds { field: message } to `errors`, with field names prefixed by `prefix`.
+function validateDimensions(dims, errors, prefix = "") {
+  for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+    const { min, max, label } = DECK_RANGES[field];
+    const mm = Number(dims[key]);
+    if (!dims[key] || !Number.isFinite(mm)) {
+      errors[prefix + field] = `Enter a valid ${label.toLowerCase()}.`;
+    } else if (mm < min || mm > max) {
+      errors[prefix + field] = `${label} must be ${min} to ${max} mm.`;
+    }
+  }
+
+  if (
+    dims.minHeightMm &&
+    dims.maxHeightMm &&
+    Number(dims.maxHeightMm) <= Number(dims.minHeightMm)
+  ) {
+    errors[prefix + "maxHeight"] = "Maximum height must be greater than minimum height.";
+  }
+}
+
+// Where each section attaches: each must join an earlier section, on a side
+// that is not already taken by another section (or, for a wall-mounted
+// deck, by the house along the north side of A).
+function validateSections(sections, errors, wallMounted) {
+  if (sections.length > DECK_LIMITS.maxSections - 1) {
+    errors.sections = `A deck can have at most ${DECK_LIMITS.maxSections} sections.`;
+  }
+  const placed = { A: { side: null, parent: null } };
+  const taken = new Set();
+
+  sections.forEach((section, i) => {
+    const prefix = `sections.${i}.`;
+    const name = sectionName(i + 1);
+    // Names follow position; a gap (B, D) would attach to the wrong section
+    if (section.name !== name) errors.sections = "Sections must be named B, C, D and so on, in order.";
+    validateDimensions(section, errors, prefix);
+
+    const parent = section.attachedTo;
+    if (!parent || !placed[parent]) {
+      errors[prefix + "attachTo"] = "Attach this section to an earlier one.";
+    } else if (!DECK_SIDES[section.side]) {
+      errors[prefix + "side"] = "Choose which side it joins.";
+    } else if (placed[parent].side && OPPOSITE_SIDE[placed[parent].side] === section.side) {
+      errors[prefix + "side"] = `That side of ${parent} joins section ${placed[parent].parent}.`;
+    } else if (wallMounted && parent === "A" && section.side === "north") {
+      errors[prefix + "side"] = "The north side of A is against the house.";
+    } else if (taken.has(`${parent}:${section.side}`)) {
+      errors[prefix + "side"] = `Another section is already on the ${section.side} side of ${parent}.`;
+    }
+    taken.add(`${parent}:${section.side}`);
+    placed[name] = { side: section.side, parent };
+  });
+}
+
+// Range, cross-field and adjacency rules for a spec. Returns
+// { field: message }, empty when the spec is complete and valid.
+export function validateDeckSpec(spec = {}) {
+  const errors = {};
+
+  if (!DECK_CONFIGS[spec.deckConfig]) errors.deckConfig = "Select a deck configuration.";
+  if (!JOIST_CONFIGS[spec.joistConfig]) errors.joistConfig = "Select a joist configuration.";
+
+  validateDimensions(spec, errors);
+  if (Array.isArray(spec.sections)) {
+    validateSections(spec.sections, errors, spec.deckConfig === "wallMounted");
+  }
+
+  return errors;
+}
+
+// Section rectangles in mm for drawing: section A at the origin, x east,
+// y south. Each section is aligned with the start of the side it joins.
+// Returns [{ name, x, y, lengthMm, widthMm, minHeightMm, maxHeightMm }].
+export function layoutDeckSections(spec) {
+  const rects = [
+    {
+      name: "A",
+      x: 0,
+      y: 0,
+      lengthMm: spec.lengthMm,
+      widthMm: spec.widthMm,
+      minHeightMm: spec.minHeightMm,
+      maxHeightMm: spec.maxHeightMm,
+    },
+  ];
+  for (const section of spec.sections || []) {
+    const parent = rects.find((r) => r.name === section.attachedTo);
+    if (!parent || !section.lengthMm || !section.widthMm) continue;
+    const rect = { ...section, x: parent.x, y: parent.y };
+    if (section.side === "east") rect.x = parent.x + parent.lengthMm;
+    if (section.side === "west") rect.x = parent.x - section.lengthMm;
+    if (section.side === "north") rect.y = parent.y - section.widthMm;
+    if (section.side === "south") rect.y = parent.y + parent.widthMm;
+    delete rect.attachedTo;
+    delete rect.side;
+    rects.push(rect);
+  }
+  return rects;
+}
+
+// Spec -> deck form values (dimensions in mm), e.g. to edit a saved spec.
+// Extra sections get new ids.
+export function deckFormFromSpec(spec = {}) {
+  const values = { ...EMPTY_DECK_FORM };
+  for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+    values[field] = spec[key] ? String(spec[key]) : "";
+  }
+  values.deckConfig = DECK_CONFIGS[spec.deckConfig] ? spec.deckConfig : "";
+  values.joistConfig = JOIST_CONFIGS[spec.joistConfig] ? spec.joistConfig : "";
+
+  const ids = { A: "main" };
+  const sections = [];
+  for (const section of spec.sections || []) {
+    const out = newDeckSection(sections);
+    for (const [field, key] of Object.entries(DIMENSION_FIELDS)) {
+      out[field] = section[key] ? String(section[key]) : "";
+    }
+    out.attachTo = ids[section.attachedTo] || "main";
+    if (DECK_SIDES[section.side]) out.side = section.side;
+    ids[section.name] = out.id;
+    sections.push(out);
+  }
+  values.sections = sections;
+  return values;
+}
+
+// Validate the raw deck form.
+// Returns { errors, parsed, spec } where `parsed` holds the mm value per field.
+export function validateDeckForm(values = {}) {
+  const spec = deckSpecFromForm(values);
+  const parsed = {};
+  for (const [field, key] of Object.entries(DIMENSION_FIELDS)) parsed[field] = spec[key];
+  return { errors: validateDeckSpec(spec), parsed, spec };
+}
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Parameter names from `defaults` with `overrides` applied
+function mergeParams(defaults, overrides) {
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, param]) => [key, String(overrides?.[key] ?? param)])
+  );
+}
+
+// Full calculator settings from a partial override
+// ({ url, params: { lengthMm: "length", sections: { side: "{name}_side" } },
+//   options: { deckConfig: { freeStanding: "fs" } } }).
+// An empty or non-http(s) url keeps the default; a param set to "" is left
+// out of the link. A section param without "{name}" keeps the default.
+export function calculatorSettings(overrides = {}) {
+  const { url, params, options } = overrides || {};
+  const { sections: sectionDefaults, ...mainDefaults } = DEFAULT_CALCULATOR.params;
+  const sections = mergeParams(sectionDefaults, params?.sections);
+  for (const [key, param] of Object.entries(sections)) {
+    if (param && !param.includes("{name}")) sections[key] = sectionDefaults[key];
+  }
+  return {
+    url: url && isHttpUrl(url) ? String(url) : DEFAULT_CALCULATOR.url,
+    params: { ...mergeParams(mainDefaults, params), sections },
+    options: {
+      deckConfig: { ...DEFAULT_CALCULATOR.options.deckConfig, ...(options?.deckConfig || {}) },
+      joistConfig: { ...DEFAULT_CALCULATOR.options.joistConfig, ...(options?.joistConfig || {}) },
+    },
+  };
+}
+
+// Deck Calculator link for a (valid) spec. `calculator`: overrides for
+// DEFAULT_CALCULATOR.
+export function calculatorUrl(spec, calculator = DEFAULT_CALCULATOR) {
+  const { url: base, params, options } = calculatorSettings(calculator);
+  const { sections: sectionParams, ...mainParams } = params;
+  const url = new URL(base);
+  for (const [key, param] of Object.entries(mainParams)) {
+    const value = options[key] ? options[key][spec[key]] : spec[key];
+    if (param && value != null && value !== "") url.searchParams.set(param, String(value));
+  }
+  for (const section of spec.sections || []) {
+    for (const [key, param] of Object.entries(sectionParams)) {
+      const value = section[key];
+      if (!param || value == null || value === "") continue;
+      url.searchParams.set(
+        sectionParam(param, section.name),
+        key === "attachedTo" ? value.toLowerCase() : String(value)
+      );
+    }
+  }
+  return url.toString();
+}
+
+function sectionParam(template, name) {
+  return template.replaceAll("{name}", name.toLowerCase());
+}
+
+// Link to the PDF plan for a (valid) spec, served by /api/deck-plan. The
+// query always uses DEFAULT_CALCULATOR's names, whatever the widget's
+// calculator config, so the route can read it back.
+export function deckPlanUrl(spec, sessionId = "") {
+  const url = new URL("/api/deck-plan", "http://localhost");
+  url.search = new URL(calculatorUrl(spec)).search;
+  if (sessionId) url.searchParams.set("session", sessionId);
+  return `${url.pathname}${url.search}`;
+}
+
+// Spec from a calculator link or query string (the reverse of calculatorUrl,
+// with the same `calculator` overrides). Missing or unreadable values come
+// back as null.
+export function deckSpecFromUrl(input, calculator = DEFAULT_CALCULATOR) {
+  const settings = calculatorSettings(calculator);
+  let params;
+  try {
+    params = new URL(String(input), settings.url).searchParams;
+  } catch {
+    return deckSpecFromForm({});
+  }
+  const { sections: sectionParams, ...mainParams } = settings.params;
+  const spec = {};
+  for (const [key, param] of Object.entries(mainParams)) {
+    const value = param ? params.get(param) : null;
+    if (settings.options[key]) {
+      const match = Object.entries(settings.options[key]).find(([, v]) => value != null && v === value);
+      spec[key] = match ? match[0] : null;
+    } else {
+      spec[key] = readMm(value);
+    }
+  }
+
+  // Sections B to Z, wherever any of their parameters is present
+  const sections = [];
+  for (let i = 1; i < 26; i += 1) {
+    const name = sectionName(i);
+    const read = (key) => (sectionParams[key] ? params.get(sectionParam(sectionParams[key], name)) : null);
+    if (!Object.keys(sectionParams).some((key) => read(key) != null)) continue;
+    const attachedTo = String(read("attachedTo") || "").toUpperCase();
+    const side = read("side");
+    sections.push({
+      name,
+      lengthMm: readMm(read("lengthMm")),
+      widthMm: readMm(read("widthMm")),
+      minHeightMm: readMm(read("minHeightMm")),
+      maxHeightMm: readMm(read("maxHeightMm")),
+      attachedTo: /^[A-Z]$/.test(attachedTo) ? attachedTo : null,
+      side: DECK_SIDES[side] ? side : null,
+    });
+  }
+  if (sections.length > 0) spec.sections = sections;
+  return spec;
+}
+
+function readMm(value) {
+  const mm = Number(value);
+  return value && Number.isFinite(mm) && mm > 0 ? Math.round(mm) : null;
+}
+
+// Readable lines for a (possibly partial) spec, e.g. for emails and notes
+export function describeDeckSpec(spec = {}) {
+  const lines = [];
+  const main = spec.sections?.length ? " (section A)" : "";
+  if (spec.lengthMm || spec.widthMm) {
+    lines.push(`Size${main}: ${spec.lengthMm ?? "?"} x ${spec.widthMm ?? "?"} mm`);
+  }
+  if (spec.minHeightMm || spec.maxHeightMm) {
+    lines.push(`Height${main}: ${spec.minHeightMm ?? "?"} to ${spec.maxHeightMm ?? "?"} mm`);
+  }
+  for (const section of spec.sections || []) {
+    const where = section.attachedTo && section.side ? `, ${section.side} of ${section.attachedTo}` : "";
+    lines.push(
+      `Section ${section.name}: ${section.lengthMm ?? "?"} x ${section.widthMm ?? "?"} mm, ` +
+        `${section.minHeightMm ?? "?"} to ${section.maxHeightMm ?? "?"} mm high${where}`
+    );
+  }
+  if (DECK_CONFIGS[spec.deckConfig]) {
+    lines.push(`Deck configuration: ${DECK_CONFIGS[spec.deckConfig].label}`);
+  }
+  if (JOIST_CONFIGS[spec.joistConfig]) {
+    lines.push(`Joist configuration: ${JOIST_CONFIGS[spec.joistConfig].label}`);
+  }
+  return lines;
+}
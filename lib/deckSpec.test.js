@@ -0,0 +1,330 @@
+import { describe, expect, it } from "vitest";
+import {
+  CALCULATOR_URL,
+  calculatorUrl,
+  deckPlanUrl,
+  deckSpecFromForm,
+  deckSpecFromUrl,
+  dimensionPreview,
+  parseDimension,
+  validateDeckForm,
+  validateDeckSpec,
+} from "./deckSpec";
+
+const VALID_SPEC = {
+  lengthMm: 6000,
+  widthMm: 3000,
+  minHeightMm: 300,
+  maxHeightMm: 600,
+  deckConfig: "wallMounted",
+  joistConfig: "flushfinish",
+};
+
+describe("parseDimension", () => {
+  it.each([
+    ["3200", 3200],
+    ["3200mm", 3200],
+    ["320 cm", 3200],
+    ["6m", 6000],
+    ["2.4 metres", 2400],
+    ["3,6 m", 3600],
+    ["1,200", 1200],
+    ["5m 200mm", 5200],
+    [" 6M ", 6000],
+  ])("reads metric %j", (input, mm) => {
+    expect(parseDimension(input)).toBe(mm);
+  });
+
+  it.each([
+    ["10 ft", 3048],
+    ["4.5 ft", 1372],
+    ["12ft 6in", 3810],
+    ["12' 6\"", 3810],
+    ["12’ 6”", 3810],
+    ["12' 6", 3810],
+    ["18 inches", 457],
+  ])("reads imperial %j", (input, mm) => {
+    expect(parseDimension(input)).toBe(mm);
+  });
+
+  it.each([
+    ["5 1/2 ft", 1676],
+    ["5-1/2 ft", 1676],
+    ["1/2 m", 500],
+    ["12 ft 6 1/2 in", 3823],
+  ])("reads fractions %j", (input, mm) => {
+    expect(parseDimension(input)).toBe(mm);
+  });
+
+  it.each([
+    ["1.2k", 1200],
+    ["6k", 6000],
+    ["1.2k mm", 1200],
+  ])("reads the k suffix %j", (input, mm) => {
+    expect(parseDimension(input)).toBe(mm);
+  });
+
+  it.each(["3/4", "5 1/2", "5-1/2", "1/2k"])("rejects a fraction without a unit: %j", (input) => {
+    expect(parseDimension(input)).toBeNull();
+  });
+
+  it("rounds once, on the total", () => {
+    // 3 × 0.4 mm would round to 0 part by part
+    expect(parseDimension("1ft 0.0157in")).toBe(305);
+  });
+
+  it.each(["", "   ", null, undefined, "abc", "6 parsecs", "0", "-3m", "5m 2ft", "6in 2ft", "200mm 5m", "1/0 m", "5 m m"])(
+    "rejects %j",
+    (input) => {
+      expect(parseDimension(input)).toBeNull();
+    }
+  );
+});
+
+describe("dimensionPreview", () => {
+  it("shows plain mm as is", () => {
+    expect(dimensionPreview("3200")).toBe("3200 mm");
+  });
+
+  it("shows how a converted value was read", () => {
+    expect(dimensionPreview("12' 6\"")).toBe("12 ft 6 in = 3810 mm");
+    expect(dimensionPreview("6m")).toBe("6 m = 6000 mm");
+    expect(dimensionPreview("1.2k")).toBe("1.2k = 1200 mm");
+    expect(dimensionPreview("1,5k mm")).toBe("1.5k = 1500 mm");
+  });
+
+  it("is empty for unreadable values", () => {
+    expect(dimensionPreview("abc")).toBe("");
+  });
+});
+
+describe("range rules", () => {
+  it("accepts a complete spec", () => {
+    expect(validateDeckSpec(VALID_SPEC)).toEqual({});
+  });
+
+  it.each([
+    ["lengthMm", "length", 1000, 9000],
+    ["widthMm", "width", 1000, 9000],
+  ])("keeps %s within 1000–9000 mm", (key, field, min, max) => {
+    expect(validateDeckSpec({ ...VALID_SPEC, [key]: min })[field]).toBeUndefined();
+    expect(validateDeckSpec({ ...VALID_SPEC, [key]: max })[field]).toBeUndefined();
+    expect(validateDeckSpec({ ...VALID_SPEC, [key]: min - 1 })[field]).toMatch(/1000 to 9000 mm/);
+    expect(validateDeckSpec({ ...VALID_SPEC, [key]: max + 1 })[field]).toMatch(/1000 to 9000 mm/);
+  });
+
+  it("keeps heights within 125–2800 mm", () => {
+    expect(validateDeckSpec({ ...VALID_SPEC, minHeightMm: 125 })).toEqual({});
+    expect(validateDeckSpec({ ...VALID_SPEC, minHeightMm: 124 }).minHeight).toMatch(/125 to 2800 mm/);
+    expect(validateDeckSpec({ ...VALID_SPEC, maxHeightMm: 2800 })).toEqual({});
+    expect(validateDeckSpec({ ...VALID_SPEC, maxHeightMm: 2801 }).maxHeight).toMatch(/125 to 2800 mm/);
+  });
+
+  it("asks for missing or unreadable values", () => {
+    const { errors } = validateDeckForm({ length: "", width: "abc", minHeight: "300", maxHeight: "600" });
+    expect(errors.length).toBe("Enter a valid length.");
+    expect(errors.width).toBe("Enter a valid width.");
+    expect(errors.deckConfig).toBe("Select a deck configuration.");
+    expect(errors.joistConfig).toBe("Select a joist configuration.");
+  });
+
+  it("checks the parsed value, not the text", () => {
+    const { errors, parsed } = validateDeckForm({
+      length: "30 ft",
+      width: "0.9m",
+      minHeight: "1ft",
+      maxHeight: "2ft",
+      deckConfig: "freeStanding",
+      joistConfig: "overthetop",
+    });
+    expect(parsed).toEqual({ length: 9144, width: 900, minHeight: 305, maxHeight: 610 });
+    expect(Object.keys(errors).sort()).toEqual(["length", "width"]);
+  });
+});
+
+describe("cross-field rules", () => {
+  it("needs the maximum height above the minimum", () => {
+    const message = "Maximum height must be greater than minimum height.";
+    expect(validateDeckSpec({ ...VALID_SPEC, maxHeightMm: 300 }).maxHeight).toBe(message);
+    expect(validateDeckSpec({ ...VALID_SPEC, maxHeightMm: 200 }).maxHeight).toBe(message);
+    expect(validateDeckSpec({ ...VALID_SPEC, maxHeightMm: 301 })).toEqual({});
+  });
+
+  it("rejects unknown options", () => {
+    const errors = validateDeckSpec({ ...VALID_SPEC, deckConfig: "floating", joistConfig: "" });
+    expect(Object.keys(errors).sort()).toEqual(["deckConfig", "joistConfig"]);
+  });
+
+  const section = (overrides) => ({
+    name: "B",
+    lengthMm: 2000,
+    widthMm: 2000,
+    minHeightMm: 300,
+    maxHeightMm: 500,
+    attachedTo: "A",
+    side: "east",
+    ...overrides,
+  });
+
+  it("accepts sections attached to earlier ones", () => {
+    const spec = { ...VALID_SPEC, sections: [section(), section({ name: "C", attachedTo: "B", side: "south" })] };
+    expect(validateDeckSpec(spec)).toEqual({});
+  });
+
+  it("checks each section's dimensions", () => {
+    const errors = validateDeckSpec({ ...VALID_SPEC, sections: [section({ lengthMm: 500, maxHeightMm: 200 })] });
+    expect(errors["sections.0.length"]).toMatch(/1000 to 9000 mm/);
+    expect(errors["sections.0.maxHeight"]).toBe("Maximum height must be greater than minimum height.");
+  });
+
+  it("only attaches to earlier sections", () => {
+    const errors = validateDeckSpec({ ...VALID_SPEC, sections: [section({ attachedTo: "C" })] });
+    expect(errors["sections.0.attachTo"]).toBe("Attach this section to an earlier one.");
+  });
+
+  it("keeps the house side of a wall-mounted deck free", () => {
+    const spec = { ...VALID_SPEC, sections: [section({ side: "north" })] };
+    expect(validateDeckSpec(spec)["sections.0.side"]).toBe("The north side of A is against the house.");
+    expect(validateDeckSpec({ ...spec, deckConfig: "freeStanding" })).toEqual({});
+  });
+
+  it("allows one section per side", () => {
+    const errors = validateDeckSpec({ ...VALID_SPEC, sections: [section(), section({ name: "C" })] });
+    expect(errors["sections.1.side"]).toBe("Another section is already on the east side of A.");
+  });
+
+  it("doesn't attach back onto the parent", () => {
+    const errors = validateDeckSpec({
+      ...VALID_SPEC,
+      sections: [section(), section({ name: "C", attachedTo: "B", side: "west" })],
+    });
+    expect(errors["sections.1.side"]).toBe("That side of B joins section A.");
+  });
+
+  it("needs sections named in order", () => {
+    const errors = validateDeckSpec({ ...VALID_SPEC, sections: [section({ name: "C" })] });
+    expect(errors.sections).toMatch(/named B, C, D/);
+  });
+
+  it("limits the number of sections", () => {
+    const sides = ["east", "south", "east", "south", "east"];
+    const sections = sides.map((side, i) =>
+      section({ name: String.fromCharCode(66 + i), attachedTo: String.fromCharCode(65 + i), side })
+    );
+    expect(validateDeckSpec({ ...VALID_SPEC, sections }).sections).toMatch(/at most 5 sections/);
+    expect(validateDeckSpec({ ...VALID_SPEC, sections: sections.slice(0, 4) })).toEqual({});
+  });
+});
+
+describe("calculatorUrl and deckSpecFromUrl", () => {
+  it("builds the calculator link", () => {
+    const url = new URL(calculatorUrl(VALID_SPEC));
+    expect(`${url.origin}${url.pathname}`).toBe(CALCULATOR_URL);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      length_mm: "6000",
+      width_mm: "3000",
+      min_height_mm: "300",
+      max_height_mm: "600",
+      deckconfig: "wallMounted",
+      joistconfig: "flushfinish",
+    });
+  });
+
+  it("round-trips a spec", () => {
+    expect(deckSpecFromUrl(calculatorUrl(VALID_SPEC))).toEqual(VALID_SPEC);
+  });
+
+  it("round-trips a spec with sections", () => {
+    const spec = {
+      ...VALID_SPEC,
+      sections: [
+        { name: "B", lengthMm: 2000, widthMm: 1500, minHeightMm: 300, maxHeightMm: 450, attachedTo: "A", side: "south" },
+        { name: "C", lengthMm: 1800, widthMm: 1200, minHeightMm: 200, maxHeightMm: 400, attachedTo: "B", side: "east" },
+      ],
+    };
+    const url = calculatorUrl(spec);
+    expect(new URL(url).searchParams.get("section_b_attached_to")).toBe("a");
+    expect(deckSpecFromUrl(url)).toEqual(spec);
+  });
+
+  it("round-trips through the form", () => {
+    const { spec } = validateDeckForm({
+      length: "20 ft",
+      width: "3.2m",
+      minHeight: "300",
+      maxHeight: "2ft",
+      deckConfig: "freeStanding",
+      joistConfig: "overthetop",
+    });
+    expect(deckSpecFromUrl(calculatorUrl(spec))).toEqual(spec);
+  });
+
+  it("reads a bare query string", () => {
+    expect(deckSpecFromUrl("?length_mm=4000&deckconfig=freeStanding")).toEqual({
+      ...deckSpecFromForm({}),
+      lengthMm: 4000,
+      deckConfig: "freeStanding",
+    });
+  });
+
+  it("turns unreadable or unknown values into null", () => {
+    const spec = deckSpecFromUrl("?length_mm=abc&width_mm=-5&deckconfig=floating&joistconfig=");
+    expect(spec).toMatchObject({ lengthMm: null, widthMm: null, deckConfig: null, joistConfig: null });
+  });
+
+  it("maps parameters and options through the calculator config", () => {
+    const calculator = {
+      url: "https://calc.example.com/deck",
+      params: { lengthMm: "L", widthMm: "W", minHeightMm: "", sections: { lengthMm: "s{name}L", side: "s{name}side" } },
+      options: { joistConfig: { flushfinish: "flush" } },
+    };
+    const spec = {
+      ...VALID_SPEC,
+      sections: [
+        { name: "B", lengthMm: 2000, widthMm: 1500, minHeightMm: 300, maxHeightMm: 450, attachedTo: "A", side: "south" },
+      ],
+    };
+    const params = new URL(calculatorUrl(spec, calculator)).searchParams;
+    expect(params.get("L")).toBe("6000");
+    expect(params.get("W")).toBe("3000");
+    expect(params.has("min_height_mm")).toBe(false);
+    expect(params.get("joistconfig")).toBe("flush");
+    expect(params.get("sbL")).toBe("2000");
+    expect(params.get("sbside")).toBe("south");
+    expect(params.get("section_b_width_mm")).toBe("1500");
+
+    const back = deckSpecFromUrl(calculatorUrl(spec, calculator), calculator);
+    expect(back).toEqual({ ...spec, minHeightMm: null });
+  });
+
+  it("keeps the default for section params without {name}", () => {
+    const url = calculatorUrl(
+      { ...VALID_SPEC, sections: [{ name: "B", lengthMm: 2000, attachedTo: "A", side: "east" }] },
+      { params: { sections: { lengthMm: "length" } } }
+    );
+    expect(new URL(url).searchParams.get("section_b_length_mm")).toBe("2000");
+  });
+
+  it("falls back to the default calculator for a non-http url", () => {
+    expect(calculatorUrl(VALID_SPEC, { url: "javascript:alert(1)" })).toMatch(/^https:\/\/calculator\.spanmor\.com\.au\/\?/);
+  });
+
+  it("builds the PDF plan link with the default parameters", () => {
+    const link = deckPlanUrl(VALID_SPEC, "abc");
+    expect(link.startsWith("/api/deck-plan?")).toBe(true);
+    const params = new URL(link, "http://localhost").searchParams;
+    expect(params.get("length_mm")).toBe("6000");
+    expect(params.get("session")).toBe("abc");
+    expect(deckSpecFromUrl(link)).toEqual(VALID_SPEC);
+  });
+
+  it("encodes values instead of concatenating them", () => {
+    const url = calculatorUrl(
+      { ...VALID_SPEC, deckConfig: "freeStanding" },
+      { url: "https://calc.example.com/deck?ref=a b", options: { deckConfig: { freeStanding: "free & clear" } } }
+    );
+    expect(url).toContain("ref=a+b");
+    expect(url).toContain("deckconfig=free+%26+clear");
+    expect(new URL(url).searchParams.get("deckconfig")).toBe("free & clear");
+  });
+});
@@ -0,0 +1,108 @@
+import knowledge from "../data/faq.json";
+
+// Offline answer engine used by /api/chat when the chat webhook is missing or
+// failing. Matches the question against data/faq.json with TF-IDF weighted
+// cosine similarity; entry questions and keywords count more than answers.
+// Answers may carry the widget's [[open_deck_form]] / [[open_contact_form]]
+// tokens so users are still guided to a quote.
+
+const MIN_SCORE = 0.12;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be can could do does for from have how i if in is it its me my " +
+    "of on or our please so that the this to us we what when where which who will with " +
+    "would you your").split(" ")
+);
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("es")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\[\[[a-z_]+\]\]/g, " ")
+    .replace(/\]\([^)]*\)/g, " ")
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function termCounts(tokens, weight, into = new Map()) {
+  for (const t of tokens) into.set(t, (into.get(t) || 0) + weight);
+  return into;
+}
+
+function norm(vector) {
+  let sum = 0;
+  for (const v of vector.values()) sum += v * v;
+  return Math.sqrt(sum);
+}
+
+let index = null;
+
+function buildIndex() {
+  const docs = knowledge.entries.map((entry) => {
+    const counts = termCounts(tokenize(entry.question), 2);
+    termCounts(tokenize((entry.keywords || []).join(" ")), 3, counts);
+    termCounts(tokenize(entry.answer), 1, counts);
+    return { entry, counts };
+  });
+
+  const docFreq = new Map();
+  for (const { counts } of docs) {
+    for (const term of counts.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+  const idf = new Map();
+  for (const [term, df] of docFreq) {
+    idf.set(term, Math.log((1 + docs.length) / (1 + df)) + 1);
+  }
+
+  const vectors = docs.map(({ entry, counts }) => {
+    const vector = new Map();
+    for (const [term, tf] of counts) vector.set(term, tf * idf.get(term));
+    return { entry, vector, norm: norm(vector) };
+  });
+
+  return { idf, vectors };
+}
+
+// Best matching FAQ entry for `text`, or null when nothing scores high enough.
+export function matchFaq(text) {
+  if (!index) index = buildIndex();
+  const query = new Map();
+  for (const [term, tf] of termCounts(tokenize(text), 1)) {
+    const weight = index.idf.get(term);
+    if (weight) query.set(term, tf * weight);
+  }
+  const queryNorm = norm(query);
+  if (!queryNorm) return null;
+
+  let best = null;
+  for (const doc of index.vectors) {
+    let dot = 0;
+    for (const [term, w] of query) dot += w * (doc.vector.get(term) || 0);
+    const score = dot / (queryNorm * doc.norm);
+    if (!best || score > best.score) best = { entry: doc.entry, score };
+  }
+  return best && best.score >= MIN_SCORE ? best : null;
+}
+
+// Reply in the same { output } shape as the n8n webhook.
+export function answerFromFaq(text) {
+  const match = matchFaq(text);
+  const answer = match ? match.entry.answer : knowledge.fallback;
+  return {
+    output: `${answer}\n\n${knowledge.notice}`,
+    fallback: true,
+    faqId: match ? match.entry.id : null,
+  };
+}
+
+export function isFaqFallbackEnabled() {
+  return String(process.env.FAQ_FALLBACK || "on").toLowerCase() !== "off";
+}
@@ -0,0 +1,293 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fetchUpstream } from "./upstream";
+import { multipartBody } from "./attachments";
+import { buildMessage, sendMail, smtpConfig } from "./smtp";
+
+// Durable outbox for contact submissions. /api/contact writes each lead to
+// disk, acknowledges it, and delivery happens here with retries, so a webhook
+// outage no longer loses leads.
+//
+// Layout under OUTBOX_DIR (default ".data/outbox"):
+//   <id>.json       entry: payload, attachment listing, per-channel state
+//   <id>.<n>.bin    attachment bytes
+//   <id>.lock       held while a worker delivers the entry
+//
+// Channels, each delivered and retried independently:
+//   webhook  CONTACT_WEBHOOK_URL (JSON, or multipart with attachments)
+//   email    SMTP_HOST + CONTACT_EMAIL_TO (comma separated), see lib/smtp.js
+//
+// Retries back off exponentially from OUTBOX_RETRY_BASE_MS (default 30000)
+// up to an hour; after OUTBOX_MAX_ATTEMPTS (default 8) a channel is marked
+// failed. Delivered entries are removed.
+
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function outboxDir() {
+  return path.resolve(process.cwd(), process.env.OUTBOX_DIR || ".data/outbox");
+}
+
+export function isOutboxEnabled() {
+  return String(process.env.CONTACT_OUTBOX || "on").toLowerCase() !== "off";
+}
+
+function emailRecipients() {
+  return String(process.env.CONTACT_EMAIL_TO || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Delivery channels configured right now
+export function contactChannels() {
+  const channels = [];
+  if (process.env.CONTACT_WEBHOOK_URL) channels.push("webhook");
+  if (smtpConfig() && emailRecipients().length > 0) channels.push("email");
+  return channels;
+}
+
+const entryFile = (id) => path.join(outboxDir(), `${id}.json`);
+const lockFile = (id) => path.join(outboxDir(), `${id}.lock`);
+const blobFile = (id, n) => path.join(outboxDir(), `${id}.${n}.bin`);
+
+// Write-then-rename so readers never see a partial entry
+async function writeEntry(entry) {
+  const file = entryFile(entry.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(entry, null, 2), "utf8");
+  await fs.rename(tmp, file);
+}
+
+async function readEntry(id) {
+  try {
+    return JSON.parse(await fs.readFile(entryFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Store a submission. `files` are read attachments ({ name, type, size, bytes }).
+// Resolves with the entry id.
+export async function enqueueContact(payload, files = []) {
+  const dir = outboxDir();
+  await fs.mkdir(dir, { recursive: true });
+  const id = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const now = new Date().toISOString();
+
+  await Promise.all(files.map((f, n) => fs.writeFile(blobFile(id, n), f.bytes)));
+  const channels = {};
+  for (const name of contactChannels()) {
+    channels[name] = { status: "pending", attempts: 0, nextAttemptAt: now, lastError: null };
+  }
+  await writeEntry({
+    id,
+    createdAt: now,
+    payload,
+    attachments: files.map(({ name, type, size }) => ({ name, type, size })),
+    channels,
+  });
+  return id;
+}
+
+async function loadFiles(entry) {
+  return Promise.all(
+    entry.attachments.map(async (meta, n) => ({ ...meta, bytes: await fs.readFile(blobFile(entry.id, n)) }))
+  );
+}
+
+async function deliverWebhook(entry, files) {
+  const url = process.env.CONTACT_WEBHOOK_URL;
+  if (!url) throw new Error("CONTACT_WEBHOOK_URL is not configured");
+  const outbound =
+    files.length > 0
+      ? await multipartBody(entry.payload, files)
+      : { body: JSON.stringify(entry.payload), contentType: "application/json" };
+  const res = await fetchUpstream(url, {
+    headers: { "Content-Type": outbound.contentType },
+    body: outbound.body,
+    breakerKey: "contact",
+    // The outbox does its own retrying
+    retries: 0,
+  });
+  await res.body?.cancel().catch(() => {});
+  if (!res.ok) throw new Error(`Webhook responded with ${res.status}`);
+}
+
+async function deliverEmail(entry, files) {
+  const to = emailRecipients();
+  if (to.length === 0) throw new Error("CONTACT_EMAIL_TO is not configured");
+  const { name, phone, email, message, contextText, callback } = entry.payload;
+  const text = [
+    `Name: ${name}`,
+    `Phone: ${phone}`,
+    `Email: ${email}`,
+    ...(callback ? [`Call back: ${callback.label} (${callback.timezone})`] : []),
+    "",
+    message,
+    ...(contextText ? ["", contextText] : []),
+    "",
+    `Reference: ${entry.id}`,
+  ].join("\n");
+  const config = smtpConfig();
+  const mail = buildMessage({
+    from: config?.from || "",
+    to,
+    replyTo: email,
+    subject: callback
+      ? `Callback request from ${name}, ${callback.label}`
+      : `Engineering review request from ${name}`,
+    text,
+    attachments: files,
+  });
+  await sendMail(mail, { to, config });
+}
+
+const DELIVER = { webhook: deliverWebhook, email: deliverEmail };
+
+function retryDelay(attempts) {
+  const base = envNumber("OUTBOX_RETRY_BASE_MS", 30000);
+  return Math.min(MAX_DELAY_MS, base * 2 ** Math.max(0, attempts - 1));
+}
+
+// Exclusive claim on an entry across workers and processes
+async function claim(id) {
+  try {
+    const handle = await fs.open(lockFile(id), "wx");
+    await handle.close();
+    return true;
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    const stat = await fs.stat(lockFile(id)).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+      await fs.rm(lockFile(id), { force: true });
+      return claim(id);
+    }
+    return false;
+  }
+}
+
+async function removeEntry(entry) {
+  await Promise.all(entry.attachments.map((_, n) => fs.rm(blobFile(entry.id, n), { force: true })));
+  await fs.rm(entryFile(entry.id), { force: true });
+}
+
+// Try every due channel of one entry. Safe to call from several places.
+export async function deliverEntry(id) {
+  if (!(await claim(id))) return;
+  try {
+    const entry = await readEntry(id);
+    if (!entry) return;
+    const now = Date.now();
+    const due = Object.entries(entry.channels).filter(
+      ([, ch]) => ch.status === "pending" && Date.parse(ch.nextAttemptAt) <= now
+    );
+    if (due.length === 0) return;
+
+    const files = await loadFiles(entry);
+    const maxAttempts = envNumber("OUTBOX_MAX_ATTEMPTS", 8);
+    for (const [name, ch] of due) {
+      ch.attempts += 1;
+      try {
+        await DELIVER[name](entry, files);
+        ch.status = "delivered";
+        ch.deliveredAt = new Date().toISOString();
+        ch.lastError = null;
+      } catch (err) {
+        ch.lastError = String(err?.message || err);
+        if (ch.attempts >= maxAttempts) {
+          ch.status = "failed";
+          console.error(`[outbox] ${id} ${name} failed after ${ch.attempts} attempts: ${ch.lastError}`);
+        } else {
+          ch.nextAttemptAt = new Date(Date.now() + retryDelay(ch.attempts)).toISOString();
+        }
+      }
+    }
+
+    const statuses = Object.values(entry.channels).map((ch) => ch.status);
+    if (statuses.every((s) => s === "delivered")) await removeEntry(entry);
+    else await writeEntry(entry);
+  } finally {
+    await fs.rm(lockFile(id), { force: true });
+  }
+}
+
+async function entryIds() {
+  try {
+    const names = await fs.readdir(outboxDir());
+    return names.filter((n) => n.endsWith(".json")).map((n) => n.slice(0, -5));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// One pass over the outbox, delivering whatever is due
+export async function processOutbox() {
+  for (const id of await entryIds()) {
+    try {
+      await deliverEntry(id);
+    } catch (err) {
+      console.error(`[outbox] ${id}: ${err?.message || err}`);
+    }
+  }
+}
+
+// Background worker; started from instrumentation.js. Polls every
+// OUTBOX_POLL_MS (default 15000).
+let worker = null;
+
+export function startOutboxWorker() {
+  if (worker || !isOutboxEnabled()) return;
+  let running = false;
+  worker = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } finally {
+      running = false;
+    }
+  }, envNumber("OUTBOX_POLL_MS", 15000));
+  worker.unref?.();
+}
+
+const STUCK_AFTER_MS = 10 * 60 * 1000;
+
+function entryState(entry) {
+  const channels = Object.values(entry.channels);
+  if (channels.some((ch) => ch.status === "failed")) return "failed";
+  const retried = channels.some((ch) => ch.attempts > 0 && ch.status === "pending");
+  const age = Date.now() - Date.parse(entry.createdAt);
+  return retried || age > STUCK_AFTER_MS ? "stuck" : "pending";
+}
+
+// Entries still in the outbox, oldest first, with a state of "failed" (a
+// channel gave up), "stuck" (failed at least once or older than 10 minutes)
+// or "pending". `states` filters them.
+export async function listOutbox({ states = ["failed", "stuck"] } = {}) {
+  const entries = [];
+  for (const id of await entryIds()) {
+    const entry = await readEntry(id).catch(() => null);
+    if (!entry) continue;
+    const state = entryState(entry);
+    if (!states.includes(state)) continue;
+    entries.push({
+      id: entry.id,
+      createdAt: entry.createdAt,
+      state,
+      name: entry.payload?.name,
+      email: entry.payload?.email,
+      attachments: entry.attachments.length,
+      channels: entry.channels,
+    });
+  }
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
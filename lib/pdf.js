@@ -0,0 +1,136 @@
+// Minimal PDF 1.4 writer for generated documents such as the deck plan
+// (lib/deckPlan.js): A4 pages with Helvetica text, lines, rectangles and link
+// areas. Text uses WinAnsiEncoding: Latin-1 plus a few typographic
+// characters (–, —, ‘’, “”, •, …); anything else is printed as "?".
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Unicode -> WinAnsi byte for characters outside Latin-1
+const WIN_ANSI = {
+  "€": 0x80,
+  "‚": 0x82,
+  "„": 0x84,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+function encodeText(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    const code = ch.codePointAt(0);
+    const byte = WIN_ANSI[ch] ?? (code >= 0x20 && code <= 0xff && code !== 0x7f ? code : 0x3f);
+    const c = String.fromCharCode(byte);
+    out += c === "(" || c === ")" || c === "\\" ? `\\${c}` : c;
+  }
+  return out;
+}
+
+const num = (n) => Number(Number(n).toFixed(2)).toString();
+
+// Average Helvetica glyph width as a share of the font size; good enough to
+// centre and right-align short labels.
+const AVERAGE_WIDTH = 0.5;
+
+export function textWidth(text, size) {
+  return String(text ?? "").length * size * AVERAGE_WIDTH;
+}
+
+// A new document. Coordinates are in points from the bottom-left of the page.
+export function createPdf({ title = "" } = {}) {
+  const pages = [];
+  let page = null;
+
+  const doc = {
+    addPage() {
+      page = { ops: [], links: [] };
+      pages.push(page);
+      return doc;
+    },
+    // { size, bold, color: [r, g, b] (0-1), align: "left" | "center" | "right" }
+    text(x, y, value, { size = 11, bold = false, color = [0, 0, 0], align = "left" } = {}) {
+      const width = textWidth(value, size);
+      const left = align === "center" ? x - width / 2 : align === "right" ? x - width : x;
+      page.ops.push(
+        `BT ${color.map(num).join(" ")} rg /${bold ? "F2" : "F1"} ${num(size)} Tf ` +
+          `${num(left)} ${num(y)} Td (${encodeText(value)}) Tj ET`
+      );
+      return doc;
+    },
+    // { width, color, dash: [on, off] }
+    line(x1, y1, x2, y2, { width = 1, color = [0, 0, 0], dash = null } = {}) {
+      page.ops.push(
+        `q ${num(width)} w ${color.map(num).join(" ")} RG ${dash ? `[${dash.map(num).join(" ")}] 0 d ` : ""}` +
+          `${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S Q`
+      );
+      return doc;
+    },
+    // { stroke, fill (colors), width }
+    rect(x, y, w, h, { stroke = [0, 0, 0], fill = null, width = 1 } = {}) {
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      page.ops.push(
+        `q ${num(width)} w ${stroke ? `${stroke.map(num).join(" ")} RG ` : ""}` +
+          `${fill ? `${fill.map(num).join(" ")} rg ` : ""}` +
+          `${num(x)} ${num(y)} ${num(w)} ${num(h)} re ${paint} Q`
+      );
+      return doc;
+    },
+    // Clickable area opening `url`
+    link(x, y, w, h, url) {
+      page.links.push({ rect: [x, y, x + w, y + h], url: String(url) });
+      return doc;
+    },
+    // The finished file as a Buffer
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pagesRef = add(null);
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const info = add(`<< /Title (${encodeText(title)}) /Producer (Spanmor) >>`);
+
+      const kids = pages.map((p) => {
+        const stream = p.ops.join("\n");
+        const content = add(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+        const annots = p.links.map((l) =>
+          add(
+            `<< /Type /Annot /Subtype /Link /Rect [${l.rect.map(num).join(" ")}] /Border [0 0 0] ` +
+              `/A << /S /URI /URI (${encodeText(l.url)}) >> >>`
+          )
+        );
+        return add(
+          `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(A4.width)} ${num(A4.height)}] ` +
+            `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R` +
+            `${annots.length ? ` /Annots [${annots.map((a) => `${a} 0 R`).join(" ")}]` : ""} >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+      objects[pagesRef - 1] =
+        `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(out, "latin1"));
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = Buffer.byteLength(out, "latin1");
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\n`;
+      out += `startxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, "latin1");
+    },
+  };
+  return doc;
+}
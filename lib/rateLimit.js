@@ -0,0 +1,125 @@
+import { NextResponse } from "next/server";
+
+// Fixed-window rate limiting for the proxy routes, keyed by client IP and by
+// chat sessionId. Limits are "<requests>/<seconds>" strings and can be
+// overridden per route and key type via env, e.g.
+//   RATE_LIMIT_CHAT_IP=30/60
+//   RATE_LIMIT_CONTACT_SESSION=3/600
+// Use "off" to disable a limit.
+
+const DEFAULT_LIMITS = {
+  chat: { ip: "30/60", session: "20/60" },
+  contact: { ip: "5/600", session: "3/600" },
+};
+
+// In-memory store: fine for a single instance. Swap in a shared store
+// (Redis, KV, ...) with setRateLimitStore when running several instances.
+// A store only needs `increment(key, windowMs) -> { count, resetAt }`.
+// Holds at most `maxKeys` windows: expired ones go first, then the oldest.
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const windows = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+    // Still full: drop the oldest windows (a Map iterates in insertion order)
+    for (const key of windows.keys()) {
+      if (windows.size < maxKeys) break;
+      windows.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        // Re-insert so a renewed window counts as the newest
+        windows.delete(key);
+        if (windows.size >= maxKeys) sweep(now);
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+function parseLimit(value) {
+  const s = String(value || "").trim().toLowerCase();
+  if (!s || s === "off" || s === "0") return null;
+  const match = s.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) return null;
+  const max = Number(match[1]);
+  const windowSec = Number(match[2]);
+  if (!max || !windowSec) return null;
+  return { max, windowMs: windowSec * 1000 };
+}
+
+function limitFor(route, kind) {
+  const envName = `RATE_LIMIT_${route.toUpperCase()}_${kind.toUpperCase()}`;
+  const raw = process.env[envName] ?? DEFAULT_LIMITS[route]?.[kind];
+  return parseLimit(raw);
+}
+
+export function clientIp(req) {
+  const forwarded = req.headers.get("x-forwarded-for");
+  if (forwarded) return forwarded.split(",")[0].trim();
+  return req.headers.get("x-real-ip") || "unknown";
+}
+
+// Count this request against the IP and session limits of `route`. Pass only
+// `req` (or a null `req` and `sessionId`) to check just one of them, e.g. the
+// IP before reading a large body and the session once it is parsed.
+// Resolves with { limited, retryAfter } where retryAfter is in seconds.
+export async function checkRateLimit(route, req, sessionId) {
+  const checks = [
+    { kind: "ip", id: req ? clientIp(req) : "" },
+    { kind: "session", id: sessionId ? String(sessionId) : "" },
+  ];
+
+  let retryAfter = 0;
+  for (const { kind, id } of checks) {
+    const limit = limitFor(route, kind);
+    if (!limit || !id) continue;
+    try {
+      const { count, resetAt } = await store.increment(
+        `${route}:${kind}:${id}`,
+        limit.windowMs
+      );
+      if (count > limit.max) {
+        retryAfter = Math.max(retryAfter, Math.ceil((resetAt - Date.now()) / 1000));
+      }
+    } catch {
+      // Fail open: a broken store should not take the widget down
+    }
+  }
+
+  return { limited: retryAfter > 0, retryAfter };
+}
+
+export function tooManyRequests(retryAfter) {
+  const seconds = Math.max(1, Number(retryAfter) || 1);
+  return NextResponse.json(
+    { error: "Too many requests", code: "rate_limited", retryAfter: seconds },
+    { status: 429, headers: { "Retry-After": String(seconds) } }
+  );
+}
+
+// Best-effort sessionId lookup from a raw JSON body
+export function sessionIdFromBody(bodyText) {
+  try {
+    const data = JSON.parse(bodyText);
+    return typeof data?.sessionId === "string" ? data.sessionId : "";
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { checkRateLimit, createMemoryStore, setRateLimitStore } from "./rateLimit";
+
+const request = (ip) => new Request("http://localhost/api/contact", { headers: { "x-forwarded-for": ip } });
+
+describe("createMemoryStore", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("counts within a window and starts over after it", async () => {
+    const store = createMemoryStore();
+    expect((await store.increment("a", 1000)).count).toBe(1);
+    expect((await store.increment("a", 1000)).count).toBe(2);
+    vi.advanceTimersByTime(1000);
+    expect((await store.increment("a", 1000)).count).toBe(1);
+  });
+
+  it("drops the oldest windows when full of live ones", async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+    await store.increment("a", 60000);
+    await store.increment("a", 60000);
+    await store.increment("b", 60000);
+    await store.increment("c", 60000);
+    // "a" was evicted, so it starts a new window
+    expect((await store.increment("a", 60000)).count).toBe(1);
+    // ...which evicted "b", the oldest left
+    expect((await store.increment("c", 60000)).count).toBe(2);
+    expect((await store.increment("b", 60000)).count).toBe(1);
+  });
+});
+
+describe("checkRateLimit", () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+    process.env.RATE_LIMIT_CONTACT_IP = "2/60";
+    process.env.RATE_LIMIT_CONTACT_SESSION = "1/60";
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_CONTACT_IP;
+    delete process.env.RATE_LIMIT_CONTACT_SESSION;
+  });
+
+  it("checks the IP and the session separately", async () => {
+    expect((await checkRateLimit("contact", request("1.2.3.4"))).limited).toBe(false);
+    expect((await checkRateLimit("contact", null, "s1")).limited).toBe(false);
+    expect((await checkRateLimit("contact", null, "s1")).limited).toBe(true);
+    // The session checks didn't count against the IP
+    expect((await checkRateLimit("contact", request("1.2.3.4"))).limited).toBe(false);
+    const limited = await checkRateLimit("contact", request("1.2.3.4"));
+    expect(limited.limited).toBe(true);
+    expect(limited.retryAfter).toBeGreaterThan(0);
+  });
+});
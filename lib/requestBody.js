@@ -0,0 +1,31 @@
+// Size-capped request body reading for the proxy routes. The declared
+// content-length is checked first, but a chunked upload has none, so bytes
+// are also counted as they arrive and the upload is cancelled past the cap.
+
+// The body of `req` as bytes, or null once it goes over `maxBytes`
+export async function readBodyBytes(req, maxBytes) {
+  if (Number(req.headers.get("content-length")) > maxBytes) return null;
+  if (!req.body) return new Uint8Array(0);
+
+  const reader = req.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it, vi } from "vitest";
+import { readBodyBytes } from "./requestBody";
+
+const encoder = new TextEncoder();
+
+// A chunked upload: no content-length, `chunks` sent one by one
+function chunkedRequest(chunks, onCancel = () => {}) {
+  let i = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (i < chunks.length) controller.enqueue(encoder.encode(chunks[i++]));
+      else controller.close();
+    },
+    cancel: onCancel,
+  });
+  return new Request("http://localhost/api/contact", { method: "POST", body, duplex: "half" });
+}
+
+describe("readBodyBytes", () => {
+  it("reads a body within the limit", async () => {
+    const bytes = await readBodyBytes(chunkedRequest(["ab", "cd"]), 4);
+    expect(new TextDecoder().decode(bytes)).toBe("abcd");
+  });
+
+  it("stops reading a chunked body once it goes over the limit", async () => {
+    const onCancel = vi.fn();
+    const req = chunkedRequest(["abc", "def", "ghi"], onCancel);
+    expect(await readBodyBytes(req, 5)).toBeNull();
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  it("rejects a declared content-length over the limit without reading", async () => {
+    const req = new Request("http://localhost/api/contact", {
+      method: "POST",
+      body: "abcdef",
+      headers: { "content-length": "6" },
+    });
+    expect(await readBodyBytes(req, 5)).toBeNull();
+    expect(req.bodyUsed).toBe(false);
+  });
+
+  it("returns no bytes for a request without a body", async () => {
+    expect(await readBodyBytes(new Request("http://localhost/"), 5)).toEqual(new Uint8Array(0));
+  });
+});
@@ -0,0 +1,92 @@
+// Minimal declarative validation for request payloads.
+//
+// A schema is a plain object:
+//   { type: "object", fields: { name: { type: "string", required: true, maxLength: 80 } } }
+// Supported rules: type ("string" | "number" | "boolean" | "object" | "array"),
+// required, enum, minLength, maxLength, pattern, min, max, fields (objects),
+// items (arrays), maxItems, allowUnknown (objects), label (used in messages).
+//
+// validate() returns a flat map of field path -> message, empty when valid.
+
+function describe(rule, path) {
+  return rule.label || path || "Value";
+}
+
+const TYPE_NAMES = {
+  string: "text",
+  number: "a number",
+  boolean: "true or false",
+  object: "an object",
+  array: "a list",
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+export function validate(schema, value, path = "") {
+  const errors = {};
+  const name = describe(schema, path);
+  const key = path || "_";
+
+  if (value === undefined || value === null || value === "") {
+    if (schema.required) errors[key] = `${name} is required.`;
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type) {
+    errors[key] = `${name} must be ${TYPE_NAMES[schema.type] || schema.type}.`;
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors[key] = `${name} must be one of: ${schema.enum.join(", ")}.`;
+    return errors;
+  }
+
+  if (actual === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors[key] = `${name} must be at least ${schema.minLength} characters.`;
+    } else if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors[key] = `${name} must be at most ${schema.maxLength} characters.`;
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      errors[key] = schema.patternMessage || `${name} is not in a valid format.`;
+    }
+  }
+
+  if (actual === "number") {
+    if (!Number.isFinite(value)) errors[key] = `${name} must be a number.`;
+    else if (schema.min != null && value < schema.min) errors[key] = `${name} must be at least ${schema.min}.`;
+    else if (schema.max != null && value > schema.max) errors[key] = `${name} must be at most ${schema.max}.`;
+  }
+
+  if (actual === "array") {
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors[key] = `${name} must have at most ${schema.maxItems} items.`;
+    } else if (schema.items) {
+      value.forEach((item, i) => {
+        Object.assign(errors, validate(schema.items, item, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (actual === "object" && schema.fields) {
+    for (const [field, rule] of Object.entries(schema.fields)) {
+      const fieldPath = path ? `${path}.${field}` : field;
+      Object.assign(errors, validate(rule, value[field], fieldPath));
+    }
+    if (!schema.allowUnknown) {
+      for (const field of Object.keys(value)) {
+        if (!(field in schema.fields)) {
+          const fieldPath = path ? `${path}.${field}` : field;
+          errors[fieldPath] = `Unknown field "${field}".`;
+        }
+      }
+    }
+  }
+
+  return errors;
+}
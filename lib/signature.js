@@ -0,0 +1,36 @@
+import crypto from "node:crypto";
+
+// HMAC signing of outbound webhook requests, so n8n can tell calls from this
+// proxy apart from anyone who has discovered the webhook URL.
+//
+// With WEBHOOK_SIGNING_SECRET set, every request carries:
+//   X-Spanmor-Timestamp  unix seconds
+//   X-Spanmor-Nonce      random per request (for replay detection)
+//   X-Spanmor-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+//
+// Verify on the receiving side with scripts/verify-signature.cjs.
+
+export const TIMESTAMP_HEADER = "X-Spanmor-Timestamp";
+export const NONCE_HEADER = "X-Spanmor-Nonce";
+export const SIGNATURE_HEADER = "X-Spanmor-Signature";
+
+export function signBody(body, secret, { timestamp, nonce } = {}) {
+  const ts = String(timestamp ?? Math.floor(Date.now() / 1000));
+  const n = nonce ?? crypto.randomUUID();
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${ts}.${n}.`)
+    .update(body ?? "")
+    .digest("hex");
+  return {
+    [TIMESTAMP_HEADER]: ts,
+    [NONCE_HEADER]: n,
+    [SIGNATURE_HEADER]: `sha256=${digest}`,
+  };
+}
+
+// Signature headers for `body`, or none when signing is not configured
+export function signatureHeaders(body) {
+  const secret = process.env.WEBHOOK_SIGNING_SECRET;
+  return secret ? signBody(body, secret) : {};
+}
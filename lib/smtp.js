@@ -0,0 +1,219 @@
+import crypto from "node:crypto";
+import net from "node:net";
+import tls from "node:tls";
+
+// Minimal SMTP client for the contact outbox's email channel: plain or
+// implicit-TLS connections, STARTTLS when offered, AUTH PLAIN, one message
+// per connection. Enough for a relay or a local mail sink
+// (scripts/mail-sink.cjs); not a general purpose mailer.
+//
+// Env: SMTP_HOST, SMTP_PORT (default 587, 465 with SMTP_SECURE=on),
+// SMTP_SECURE (implicit TLS), SMTP_STARTTLS (default on, "off" to skip),
+// SMTP_USER, SMTP_PASS, SMTP_FROM, SMTP_TIMEOUT_MS (default 15000).
+
+export function smtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+  const secure = String(process.env.SMTP_SECURE || "").toLowerCase() === "on";
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    starttls: String(process.env.SMTP_STARTTLS || "on").toLowerCase() !== "off",
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+    from: process.env.SMTP_FROM || "no-reply@spanmor.com.au",
+    timeoutMs: Number(process.env.SMTP_TIMEOUT_MS) || 15000,
+  };
+}
+
+// Line-oriented reader over a socket: resolves complete SMTP replies
+function replyReader(socket) {
+  let buffer = "";
+  let waiting = null;
+  let failure = null;
+  const lines = [];
+
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+    // A reply ends with "<code> text" (a space after the code, not "-")
+    const end = lines.findIndex((l) => /^\d{3}(?: |$)/.test(l));
+    if (end < 0) return;
+    const reply = lines.splice(0, end + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: Number(reply[end].slice(0, 3)), lines: reply });
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      lines.push(buffer.slice(0, i));
+      buffer = buffer.slice(i + 2);
+    }
+    settle();
+  };
+  const onError = (err) => {
+    failure = err;
+    settle();
+  };
+  const onClose = () => onError(new Error("SMTP connection closed"));
+
+  const attach = (s) => {
+    s.on("data", onData);
+    s.on("error", onError);
+    s.on("close", onClose);
+  };
+  const detach = (s) => {
+    s.off("data", onData);
+    s.off("error", onError);
+    s.off("close", onClose);
+  };
+  attach(socket);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+    },
+    // Move to an upgraded (TLS) socket
+    swap(from, to) {
+      detach(from);
+      attach(to);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timeout")));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+function encodeHeader(value) {
+  const text = String(value || "").replace(/[\r\n]+/g, " ");
+  // RFC 2047 encoded-word for non-ASCII headers
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+}
+
+function base64Lines(buffer) {
+  return Buffer.from(buffer).toString("base64").replace(/.{1,76}/g, "$&\r\n");
+}
+
+// RFC 5322 message with a text body and optional attachments
+// ({ name, type, bytes }).
+export function buildMessage({ from, to, replyTo, subject, text, attachments = [] }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    ...(replyTo ? [`Reply-To: ${encodeHeader(replyTo)}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${from.split("@")[1] || "localhost"}>`,
+    "MIME-Version: 1.0",
+  ];
+  const textPart = [
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(Buffer.from(text, "utf8")),
+  ].join("\r\n");
+
+  if (attachments.length === 0) {
+    return `${headers.join("\r\n")}\r\n${textPart}`;
+  }
+
+  const boundary = `----spanmor-${crypto.randomUUID()}`;
+  const parts = [textPart];
+  for (const file of attachments) {
+    const name = String(file.name).replace(/["\r\n]/g, "_");
+    parts.push(
+      [
+        `Content-Type: ${file.type}; name="${name}"`,
+        "Content-Transfer-Encoding: base64",
+        `Content-Disposition: attachment; filename="${name}"`,
+        "",
+        base64Lines(file.bytes),
+      ].join("\r\n")
+    );
+  }
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    "",
+    ...parts.map((p) => `--${boundary}\r\n${p}`),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+// Send one message. Rejects with the server's reply on any failure.
+export async function sendMail(message, { to, config = smtpConfig() }) {
+  if (!config) throw new Error("SMTP_HOST is not configured");
+  let socket = await connect(config);
+  const reader = replyReader(socket);
+
+  const expect = async (ok, what) => {
+    const reply = await reader.next();
+    if (!ok.includes(reply.code)) {
+      throw new Error(`SMTP ${what} failed: ${reply.lines.join(" | ")}`);
+    }
+    return reply;
+  };
+  const command = (line, ok, what = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(ok, what);
+  };
+
+  try {
+    await expect([220], "greeting");
+    let ehlo = await command("EHLO spanmor-chatbot", [250], "EHLO");
+
+    const offersTls = ehlo.lines.some((l) => /^250[- ]STARTTLS/i.test(l));
+    if (!config.secure && config.starttls && offersTls) {
+      await command("STARTTLS", [220]);
+      const secured = await upgrade(socket, config.host);
+      reader.swap(socket, secured);
+      socket = secured;
+      ehlo = await command("EHLO spanmor-chatbot", [250], "EHLO");
+    }
+
+    if (config.user) {
+      const token = Buffer.from(`\0${config.user}\0${config.pass}`).toString("base64");
+      await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${config.from}>`, [250]);
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await command("DATA", [354]);
+    // Dot-stuffing: lines starting with "." get an extra one
+    const data = message.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    await command(`${data}\r\n.`, [250], "DATA");
+    socket.write("QUIT\r\n");
+  } finally {
+    socket.end();
+  }
+}
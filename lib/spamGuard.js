@@ -0,0 +1,173 @@
+import crypto from "node:crypto";
+import { NextResponse } from "next/server";
+import { clientIp } from "./rateLimit";
+
+// Layered bot defence for /api/contact. Checks run in order and the first
+// failure wins:
+//   honeypot   the hidden "website" field must stay empty
+//   too_fast   the panel must have been open for CONTACT_MIN_SUBMIT_MS
+//              (default 3000, "off" to disable), reported as `elapsedMs`
+//   duplicate  the same message from the same sessionId or email within
+//              CONTACT_DUPLICATE_WINDOW_MS (default 10 minutes)
+//   challenge  an optional verifier selected with CONTACT_CHALLENGE
+//              (see CHALLENGES below), fed the widget's `challengeToken`
+// Rejections are logged and never forwarded to the webhook.
+
+const DEFAULT_MIN_SUBMIT_MS = 3000;
+const DEFAULT_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+
+function envMs(name, fallback) {
+  const raw = String(process.env[name] ?? "").trim().toLowerCase();
+  if (raw === "off") return 0;
+  const n = Number(raw);
+  return raw && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// In-memory store of recent submissions: fine for a single instance. Swap in
+// a shared store with setDuplicateStore when running several instances.
+// A store needs `get(key) -> value | undefined` and `set(key, value, ttlMs)`.
+export function createMemoryDuplicateStore({ maxKeys = 10000 } = {}) {
+  const entries = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      if (entries.size >= maxKeys) sweep(now);
+      entries.set(key, { value, expiresAt: now + ttlMs });
+    },
+  };
+}
+
+let duplicateStore = createMemoryDuplicateStore();
+
+export function setDuplicateStore(next) {
+  duplicateStore = next;
+}
+
+// Challenge verifiers: async ({ token, ip }) -> boolean. Add an entry here to
+// support another provider.
+const CHALLENGES = {
+  // Cloudflare Turnstile; the host page renders the widget and hands the
+  // token to the chat widget via config.contact.getChallengeToken
+  async turnstile({ token, ip }) {
+    const secret = process.env.TURNSTILE_SECRET_KEY;
+    if (!secret || !token) return false;
+    const res = await fetch("https://challenges.cloudflare.com/turnstile/v0/siteverify", {
+      method: "POST",
+      body: new URLSearchParams({ secret, response: token, remoteip: ip }),
+      cache: "no-store",
+      signal: AbortSignal.timeout(5000),
+    });
+    const data = await res.json().catch(() => null);
+    return Boolean(data?.success);
+  },
+};
+
+function fingerprint(payload) {
+  return crypto
+    .createHash("sha256")
+    .update(payload.message.toLowerCase().replace(/\s+/g, " "))
+    .digest("hex");
+}
+
+function duplicateKeys(payload) {
+  const keys = [`contact:email:${payload.email.toLowerCase()}`];
+  if (payload.sessionId) keys.push(`contact:session:${payload.sessionId}`);
+  return keys;
+}
+
+function logRejection(reason, req, payload) {
+  const domain = payload.email.split("@")[1] || "";
+  console.warn(
+    `[contact] rejected submission (${reason})`,
+    JSON.stringify({ ip: clientIp(req), sessionId: payload.sessionId || "", emailDomain: domain })
+  );
+}
+
+// Run the checks for a parsed submission (see readContactPayload).
+// Resolves with { ok: true } or { ok: false, reason }.
+export async function checkSubmission(req, payload, signals) {
+  const reject = (reason) => {
+    logRejection(reason, req, payload);
+    return { ok: false, reason };
+  };
+
+  if (signals.honeypot) return reject("honeypot");
+
+  const minMs = envMs("CONTACT_MIN_SUBMIT_MS", DEFAULT_MIN_SUBMIT_MS);
+  if (minMs && !(Number(signals.elapsedMs) >= minMs)) return reject("too_fast");
+
+  const windowMs = envMs("CONTACT_DUPLICATE_WINDOW_MS", DEFAULT_DUPLICATE_WINDOW_MS);
+  if (windowMs) {
+    const print = fingerprint(payload);
+    try {
+      for (const key of duplicateKeys(payload)) {
+        if ((await duplicateStore.get(key)) === print) return reject("duplicate");
+      }
+    } catch {
+      // Fail open: a broken store should not block genuine leads
+    }
+  }
+
+  const challengeName = String(process.env.CONTACT_CHALLENGE || "").toLowerCase();
+  if (challengeName && challengeName !== "off") {
+    const verify = CHALLENGES[challengeName];
+    let passed = false;
+    try {
+      passed = verify ? await verify({ token: signals.challengeToken, ip: clientIp(req) }) : false;
+    } catch {
+      passed = false;
+    }
+    if (!passed) return reject("challenge");
+  }
+
+  return { ok: true };
+}
+
+// Remember a forwarded submission so repeats within the window are caught.
+export async function rememberSubmission(payload) {
+  const windowMs = envMs("CONTACT_DUPLICATE_WINDOW_MS", DEFAULT_DUPLICATE_WINDOW_MS);
+  if (!windowMs) return;
+  const print = fingerprint(payload);
+  try {
+    for (const key of duplicateKeys(payload)) {
+      await duplicateStore.set(key, print, windowMs);
+    }
+  } catch {
+    // ignore store failures
+  }
+}
+
+// Reply for a rejected submission. Honeypot hits get a fake success so bots
+// learn nothing; the others tell a real user what to do.
+export function spamRejectionResponse(reason) {
+  if (reason === "honeypot") return NextResponse.json({ ok: true });
+  if (reason === "too_fast") {
+    return NextResponse.json({ error: "Submitted too quickly", code: "too_fast" }, { status: 400 });
+  }
+  if (reason === "duplicate") {
+    return NextResponse.json(
+      { error: "This request was already received", code: "duplicate_submission" },
+      { status: 409 }
+    );
+  }
+  return NextResponse.json(
+    { error: "Verification failed", code: "challenge_failed" },
+    { status: 403 }
+  );
+}
@@ -0,0 +1,91 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Conversation transcripts recorded by /api/chat, keyed by sessionId.
+//
+// A store implements:
+//   append(sessionId, entries) -> Promise<void>
+//   read(sessionId)            -> Promise<entry[]>   (empty when unknown)
+// Entries look like { role: "user" | "bot", text, at, route?, fallback? }.
+//
+// The default store writes one JSON Lines file per session under
+// TRANSCRIPT_DIR (default ".data/transcripts"). Swap it with
+// setTranscriptStore, e.g. for a database. Set TRANSCRIPTS=off to disable.
+
+function safeName(sessionId) {
+  return String(sessionId).replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+export function createFileTranscriptStore(dir) {
+  const fileFor = (sessionId) => path.join(dir, `${safeName(sessionId)}.jsonl`);
+
+  return {
+    async append(sessionId, entries) {
+      if (!entries.length) return;
+      await fs.mkdir(dir, { recursive: true });
+      const lines = entries.map((e) => `${JSON.stringify(e)}\n`).join("");
+      await fs.appendFile(fileFor(sessionId), lines, "utf8");
+    },
+
+    async read(sessionId) {
+      let raw;
+      try {
+        raw = await fs.readFile(fileFor(sessionId), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      return raw
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+  };
+}
+
+let store = null;
+
+export function setTranscriptStore(next) {
+  store = next;
+}
+
+export function getTranscriptStore() {
+  if (!store) {
+    const dir = process.env.TRANSCRIPT_DIR || path.join(process.cwd(), ".data", "transcripts");
+    store = createFileTranscriptStore(dir);
+  }
+  return store;
+}
+
+export function isTranscriptEnabled() {
+  return String(process.env.TRANSCRIPTS || "on").toLowerCase() !== "off";
+}
+
+// Record one user message and the bot reply. Never throws: transcripts must
+// not break the chat.
+export async function recordExchange({ sessionId, route, userText, botText, fallback }) {
+  if (!isTranscriptEnabled() || !sessionId) return;
+  const at = new Date().toISOString();
+  const entries = [{ role: "user", text: String(userText || ""), at, route }];
+  if (botText) {
+    const entry = { role: "bot", text: String(botText), at: new Date().toISOString(), route };
+    if (fallback) entry.fallback = true;
+    entries.push(entry);
+  }
+  try {
+    await getTranscriptStore().append(sessionId, entries);
+  } catch (err) {
+    console.error("Failed to record transcript", err);
+  }
+}
+
+export async function readTranscript(sessionId) {
+  return getTranscriptStore().read(sessionId);
+}
@@ -0,0 +1,199 @@
+import { NextResponse } from "next/server";
+import { getCircuitBreaker } from "./circuitBreaker";
+import { signatureHeaders } from "./signature";
+
+// Outbound POSTs from the proxy routes to their webhooks, with:
+//   - a request timeout (AbortController) covering the wait for response
+//     headers, then each wait for the next chunk of the body, so a reply that
+//     stalls halfway is cut off too (streams may run longer as long as data
+//     keeps coming)
+//   - bounded retries with jittered exponential backoff, only for failures
+//     where the upstream cannot have processed the request (connection
+//     refused / DNS errors, 502/503 from a gateway in front of it). A 504
+//     is not retried: the gateway gave up waiting, but the upstream may
+//     still be working on the request.
+//   - a circuit breaker per key that fails fast while the upstream is unhealthy
+//   - HMAC signature headers (lib/signature.js), fresh for every attempt,
+//     unless `sign: false` (third-party APIs that have their own auth)
+//
+// Env defaults: UPSTREAM_TIMEOUT_MS (30000), UPSTREAM_RETRIES (2),
+// UPSTREAM_RETRY_BASE_MS (250).
+
+const RETRYABLE_STATUS = new Set([502, 503]);
+const RETRYABLE_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+export class UpstreamError extends Error {
+  // kind: "timeout" | "upstream" | "circuit_open"
+  constructor(kind, message, { status, retryAfter, cause } = {}) {
+    super(message, { cause });
+    this.name = "UpstreamError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function isRetryableError(err) {
+  const code = err?.cause?.code || err?.code;
+  return RETRYABLE_CODES.has(code);
+}
+
+function backoffDelay(attempt, baseMs) {
+  const cap = Math.min(5000, baseMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// `res` with a body that aborts the request when no data arrives for
+// `timeoutMs`; reading it then fails with UpstreamError("timeout"). The timer
+// stops once the body has been read or cancelled.
+function withBodyTimeout(res, controller, timeoutMs) {
+  if (!res.body) return res;
+  const reader = res.body.getReader();
+  let timer = null;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  arm();
+
+  const body = new ReadableStream({
+    async pull(ctrl) {
+      try {
+        const { value, done } = await reader.read();
+        if (done) {
+          clearTimeout(timer);
+          ctrl.close();
+        } else {
+          arm();
+          ctrl.enqueue(value);
+        }
+      } catch (err) {
+        clearTimeout(timer);
+        ctrl.error(
+          controller.signal.aborted
+            ? new UpstreamError("timeout", `Upstream sent no data for ${timeoutMs} ms`, { cause: err })
+            : err
+        );
+      }
+    },
+    cancel(reason) {
+      clearTimeout(timer);
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+// One request with retries, reporting the outcome to `breaker`
+async function attemptFetch(url, breaker, { body, headers, timeoutMs, retries, retryBaseMs, sign }) {
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: sign ? { ...headers, ...signatureHeaders(body) } : headers,
+        body,
+        cache: "no-store",
+        signal: controller.signal,
+      });
+    } catch (err) {
+      clearTimeout(timer);
+      if (controller.signal.aborted) {
+        breaker.onFailure();
+        throw new UpstreamError("timeout", `Upstream did not respond within ${timeoutMs} ms`, {
+          cause: err,
+        });
+      }
+      if (attempt < retries && isRetryableError(err)) {
+        await sleep(backoffDelay(attempt, retryBaseMs));
+        continue;
+      }
+      breaker.onFailure();
+      throw new UpstreamError("upstream", "Upstream request failed", { cause: err });
+    }
+    clearTimeout(timer);
+
+    if (res.status < 500) {
+      breaker.onSuccess();
+      return withBodyTimeout(res, controller, timeoutMs);
+    }
+
+    // Drain the body so the connection can be reused
+    await res.body?.cancel().catch(() => {});
+    if (attempt < retries && RETRYABLE_STATUS.has(res.status)) {
+      await sleep(backoffDelay(attempt, retryBaseMs));
+      continue;
+    }
+    breaker.onFailure();
+    throw new UpstreamError("upstream", `Upstream responded with ${res.status}`, {
+      status: res.status,
+    });
+  }
+}
+
+// POST `body` to `url`. Resolves with the upstream Response for any status
+// below 500; throws UpstreamError for timeouts, exhausted retries, 5xx
+// replies and open circuits.
+export async function fetchUpstream(url, options = {}) {
+  const {
+    body,
+    headers = {},
+    breakerKey = url,
+    timeoutMs = envNumber("UPSTREAM_TIMEOUT_MS", 30000),
+    retries = envNumber("UPSTREAM_RETRIES", 2),
+    retryBaseMs = envNumber("UPSTREAM_RETRY_BASE_MS", 250),
+    sign = true,
+  } = options;
+
+  const breaker = getCircuitBreaker(breakerKey);
+  if (!breaker.canRequest()) {
+    throw new UpstreamError("circuit_open", "Upstream circuit is open", {
+      retryAfter: breaker.retryAfter(),
+    });
+  }
+
+  try {
+    return await attemptFetch(url, breaker, { body, headers, timeoutMs, retries, retryBaseMs, sign });
+  } finally {
+    // Whatever happened, a half-open trial must not stay claimed
+    breaker.release();
+  }
+}
+
+// Map an error from fetchUpstream to the JSON reply the widget understands.
+export function upstreamErrorResponse(err) {
+  if (err instanceof UpstreamError && err.kind === "timeout") {
+    return NextResponse.json(
+      { error: "The upstream service timed out", code: "upstream_timeout" },
+      { status: 504 }
+    );
+  }
+  if (err instanceof UpstreamError && err.kind === "circuit_open") {
+    const retryAfter = Math.max(1, err.retryAfter || 1);
+    return NextResponse.json(
+      { error: "The upstream service is temporarily unavailable", code: "circuit_open", retryAfter },
+      { status: 503, headers: { "Retry-After": String(retryAfter) } }
+    );
+  }
+  if (err instanceof UpstreamError) {
+    return NextResponse.json(
+      { error: "The upstream service failed", code: "upstream_error", status: err.status },
+      { status: 502 }
+    );
+  }
+  return NextResponse.json({ error: "Proxy error", code: "proxy_error" }, { status: 502 });
+}
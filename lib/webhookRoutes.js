@@ -0,0 +1,123 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Registry of chat webhook routes, keyed by the `route` the widget sends
+// (config.webhook.route). Each route has its own backend (lib/backends),
+// upstream URL, timeout and extra headers, so different pages can embed the
+// widget against different n8n flows or models.
+//
+// Sources, first match wins:
+//   WEBHOOK_ROUTES_FILE  path to a JSON file (relative to the project root)
+//   WEBHOOK_ROUTES       the same JSON inline
+//   N8N_WEBHOOK_URL      single "general" route (plus N8N_WEBHOOK_URL_<ROUTE>
+//                        for extra routes, e.g. N8N_WEBHOOK_URL_TRADE)
+//   CHAT_BACKEND         backend of the env "general" route: n8n (default),
+//                        openai (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL,
+//                        OPENAI_SYSTEM_PROMPT) or mock
+//
+// JSON shape:
+//   {
+//     "default": "general",
+//     "routes": {
+//       "general": { "url": "https://n8n.example/webhook/general", "timeoutMs": 30000, "retries": 1 },
+//       "trade": { "url": "${N8N_TRADE_URL}", "headers": { "X-Flow": "trade" } },
+//       "ai": { "backend": "openai", "model": "gpt-4o-mini", "apiKey": "${OPENAI_API_KEY}" }
+//     }
+//   }
+// String values may reference env vars as ${NAME} to keep secrets out of the file.
+
+let cached = null;
+
+function interpolate(value) {
+  if (typeof value !== "string") return value;
+  return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => process.env[name] || "");
+}
+
+function normalizeRoute(raw) {
+  const headers = {};
+  for (const [k, v] of Object.entries(raw?.headers || {})) {
+    headers[k] = interpolate(String(v));
+  }
+  const strings = {};
+  for (const [k, v] of Object.entries(raw || {})) {
+    if (typeof v === "string") strings[k] = interpolate(v);
+  }
+  const timeoutMs = Number(raw?.timeoutMs);
+  const retries = Number(raw?.retries);
+  return {
+    ...raw,
+    ...strings,
+    url: interpolate(raw?.url || ""),
+    // Unset values fall back to the UPSTREAM_* defaults in lib/upstream.js
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : undefined,
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : undefined,
+    headers,
+  };
+}
+
+function fromJson(config) {
+  const routes = {};
+  for (const [name, raw] of Object.entries(config?.routes || {})) {
+    routes[name.toLowerCase()] = normalizeRoute(raw);
+  }
+  const fallback = Object.keys(routes)[0] || "general";
+  return {
+    defaultRoute: String(config?.default || fallback).toLowerCase(),
+    routes,
+  };
+}
+
+function fromEnv() {
+  const routes = {};
+  const backend = String(process.env.CHAT_BACKEND || "n8n").toLowerCase();
+  if (backend === "openai") {
+    routes.general = normalizeRoute({
+      backend,
+      baseUrl: process.env.OPENAI_BASE_URL,
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL,
+      systemPrompt: process.env.OPENAI_SYSTEM_PROMPT,
+    });
+  } else if (backend === "mock") {
+    routes.general = normalizeRoute({ backend });
+  } else if (process.env.N8N_WEBHOOK_URL) {
+    routes.general = normalizeRoute({ url: process.env.N8N_WEBHOOK_URL });
+  }
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^N8N_WEBHOOK_URL_([A-Z0-9_]+)$/);
+    if (match && value) {
+      routes[match[1].toLowerCase()] = normalizeRoute({ url: value });
+    }
+  }
+  return { defaultRoute: "general", routes };
+}
+
+function loadRegistry() {
+  const file = process.env.WEBHOOK_ROUTES_FILE;
+  if (file) {
+    const full = path.resolve(process.cwd(), file);
+    return fromJson(JSON.parse(fs.readFileSync(full, "utf8")));
+  }
+  if (process.env.WEBHOOK_ROUTES) {
+    return fromJson(JSON.parse(process.env.WEBHOOK_ROUTES));
+  }
+  return fromEnv();
+}
+
+export function getRegistry() {
+  if (!cached) cached = loadRegistry();
+  return cached;
+}
+
+// Resolve a route name to its config. An empty name maps to the default
+// route; unknown names resolve to null.
+export function getWebhookRoute(name) {
+  const registry = getRegistry();
+  const key = String(name || "").trim().toLowerCase() || registry.defaultRoute;
+  const route = registry.routes[key];
+  return route ? { name: key, ...route } : null;
+}
+
+export function listRouteNames() {
+  return Object.keys(getRegistry().routes);
+}
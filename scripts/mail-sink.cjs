@@ -0,0 +1,53 @@
+// Local SMTP sink for testing the contact outbox's email channel.
+//
+//   node scripts/mail-sink.cjs [port]
+//
+// Point SMTP_HOST=localhost SMTP_PORT=<port> (default 1025) at it. Every
+// message is accepted and printed; nothing is relayed. No TLS or AUTH.
+
+const net = require("net");
+
+const port = Number(process.argv[2]) || 1025;
+
+net
+  .createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 mail-sink ready");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+
+        if (data) {
+          if (line === ".") {
+            console.log(`--- message (${data.length} lines) ---\n${data.join("\n")}\n--- end ---`);
+            data = null;
+            reply("250 OK: queued");
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO" || verb === "HELO") reply("250 mail-sink");
+        else if (verb === "MAIL" || verb === "RCPT" || verb === "RSET" || verb === "NOOP") {
+          console.log(line);
+          reply("250 OK");
+        } else if (verb === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else reply("502 Command not implemented");
+      }
+    });
+    socket.on("error", () => {});
+  })
+  .listen(port, () => console.log(`Mail sink listening on localhost:${port}`));
@@ -0,0 +1,75 @@
+// Verify requests signed by the proxy routes (see lib/signature.js).
+//
+// Self-contained so it can be pasted into an n8n Code node (allow the
+// built-in with NODE_FUNCTION_ALLOW_BUILTIN=crypto) or required by a local
+// stand-in. The body must be the raw request body exactly as received:
+// enable "Raw Body" on the n8n Webhook node rather than re-serializing JSON.
+//
+//   const { verifySignature, createReplayCache } = require("./verify-signature.cjs");
+//   const seen = createReplayCache();
+//   const result = verifySignature({ body, headers, secret, seen });
+//   if (!result.ok) throw new Error(`Rejected webhook call: ${result.reason}`);
+
+const crypto = require("crypto");
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+function header(headers, name) {
+  if (!headers) return "";
+  if (typeof headers.get === "function") return headers.get(name) || "";
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : "";
+  return Array.isArray(value) ? value[0] : value || "";
+}
+
+// Remembers nonces for the tolerance window so a captured request cannot be
+// replayed while its timestamp is still valid.
+function createReplayCache(ttlSec = DEFAULT_TOLERANCE_SEC) {
+  const seen = new Map();
+  return {
+    has(nonce) {
+      const now = Date.now();
+      for (const [n, expires] of seen) {
+        if (expires <= now) seen.delete(n);
+      }
+      return seen.has(nonce);
+    },
+    add(nonce) {
+      seen.set(nonce, Date.now() + ttlSec * 1000);
+    },
+  };
+}
+
+function verifySignature({ body, headers, secret, toleranceSec = DEFAULT_TOLERANCE_SEC, seen, now }) {
+  if (!secret) return { ok: false, reason: "no secret configured" };
+
+  const timestamp = header(headers, "x-spanmor-timestamp");
+  const nonce = header(headers, "x-spanmor-nonce");
+  const signature = header(headers, "x-spanmor-signature");
+  if (!timestamp || !nonce || !signature) return { ok: false, reason: "missing signature headers" };
+
+  const ts = Number(timestamp);
+  const nowSec = Math.floor((now ?? Date.now()) / 1000);
+  if (!Number.isFinite(ts) || Math.abs(nowSec - ts) > toleranceSec) {
+    return { ok: false, reason: "timestamp outside tolerance" };
+  }
+
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(body ?? "")
+    .digest("hex")}`;
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { ok: false, reason: "signature mismatch" };
+  }
+
+  if (seen) {
+    if (seen.has(nonce)) return { ok: false, reason: "replayed request" };
+    seen.add(nonce);
+  }
+  return { ok: true };
+}
+
+module.exports = { verifySignature, createReplayCache };
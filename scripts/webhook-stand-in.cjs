@@ -0,0 +1,33 @@
+// Local stand-in for the n8n webhooks that checks request signatures.
+//
+//   WEBHOOK_SIGNING_SECRET=... node scripts/webhook-stand-in.cjs [port]
+//
+// Point N8N_WEBHOOK_URL / CONTACT_WEBHOOK_URL at http://localhost:<port>/.
+// Unsigned, tampered or replayed requests get a 401.
+
+const http = require("http");
+const { verifySignature, createReplayCache } = require("./verify-signature.cjs");
+
+const port = Number(process.argv[2]) || 5678;
+const secret = process.env.WEBHOOK_SIGNING_SECRET;
+const seen = createReplayCache();
+
+http
+  .createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      const result = verifySignature({ body, headers: req.headers, secret, seen });
+      if (!result.ok) {
+        console.warn(`${req.method} ${req.url} rejected: ${result.reason}`);
+        res.writeHead(401, { "content-type": "application/json" });
+        res.end(JSON.stringify({ error: result.reason }));
+        return;
+      }
+      console.log(`${req.method} ${req.url} ok`, body.toString("utf8").slice(0, 500));
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ output: "Signed request received." }));
+    });
+  })
+  .listen(port, () => console.log(`Webhook stand-in listening on http://localhost:${port}`));